@@ -1,6 +1,8 @@
 import fs from 'fs-extra';
 import archiver from 'archiver';
 import cp from 'child_process';
+import crypto from 'crypto';
+import os from 'os';
 import path from 'path';
 import fetch from 'node-fetch';
 import {pipeline} from 'node:stream';
@@ -10,6 +12,9 @@ import helpers from './helpers.js';
 import {createRequire} from 'module';
 import {Transpiler, Bundler, TemplateBundler} from 'espo-frontend-build-tools';
 import {minify} from 'terser';
+import less from 'less';
+import {minify as cssoMinify} from 'csso';
+import zlib from 'zlib';
 
 const require = createRequire(import.meta.url);
 
@@ -20,34 +25,188 @@ const cwd = process.cwd();
  *     module: string,
  *     packageName?: string,
  *     bundled?: boolean,
+ *     bundleTemplates?: boolean,
+ *     bundleStyles?: boolean,
  *     bundle?: {
  *         requires?: string[],
+ *         sourceMaps?: 'package'|'separate',
+ *         maxSize?: number|Object.<string, number>,
+ *         chunks?: Object.<string, {
+ *             patterns: string[],
+ *             requires?: string[],
+ *             mapDependencies?: boolean,
+ *             minify?: boolean|Record,
+ *         }>,
  *     },
  *     scripts?: string[],
+ *     exclude?: string[],
+ *     include?: string[],
  *     name: string,
  *     description?: string,
  *     author?: string,
+ *     license?: string,
  *     acceptableVersions: string[],
  *     php: string[],
+ *     manifest?: {
+ *         skipBackup?: boolean,
+ *         releaseDate?: string,
+ *         dependencies?: Object.<string, string|string[]>,
+ *         delete?: string[],
+ *         deleteBeforeCopy?: string[],
+ *         checksum?: string,
+ *     } & Record,
  * }}
  */
 const extensionParams = require(cwd + '/extension.json');
 
-const config = helpers.loadConfig();
+/**
+ * The schema of extension.json.
+ *
+ * @type {SchemaDef}
+ */
+const extensionSchema = {
+    type: 'object',
+    required: ['module', 'name', 'acceptableVersions', 'php'],
+    properties: {
+        module: {type: 'string'},
+        packageName: {type: 'string'},
+        bundled: {type: 'boolean'},
+        bundleTemplates: {type: 'boolean'},
+        bundleStyles: {type: 'boolean'},
+        bundle: {
+            type: 'object',
+            properties: {
+                requires: {type: 'array', items: {type: 'string'}},
+                sourceMaps: {type: 'string', enum: ['package', 'separate']},
+                maxSize: {type: ['number', 'object'], additionalProperties: {type: 'number'}},
+                chunks: {
+                    type: 'object',
+                    additionalProperties: {
+                        type: 'object',
+                        required: ['patterns'],
+                        properties: {
+                            patterns: {type: 'array', items: {type: 'string'}},
+                            requires: {type: 'array', items: {type: 'string'}},
+                            mapDependencies: {type: 'boolean'},
+                            minify: {type: ['boolean', 'object']},
+                        },
+                    },
+                },
+            },
+        },
+        scripts: {type: 'array', items: {type: 'string'}},
+        exclude: {type: 'array', items: {type: 'string'}},
+        include: {type: 'array', items: {type: 'string'}},
+        name: {type: 'string'},
+        description: {type: 'string'},
+        author: {type: 'string'},
+        license: {type: 'string'},
+        acceptableVersions: {type: 'array', items: {type: 'string'}},
+        php: {type: 'array', items: {type: 'string'}},
+        manifest: {type: 'object', properties: {}, additionalProperties: true},
+    },
+};
+
+/**
+ * Loaded by buildGeneral once validated, a bad config or profile is reported as a validation error.
+ *
+ * @type {ReturnType<typeof helpers.loadConfig>}
+ */
+let config;
 const branch = helpers.getProcessParam('branch');
 
+/**
+ * Named build steps. Macros and the --from, --to and --skip parameters refer to them by name.
+ *
+ * @type {Object.<string, function(): Promise>}
+ */
+const steps = {
+    fetch: () => fetchEspo({branch: branch}),
+    install: () => install(),
+    installExtensions: () => installExtensions(),
+    copy: () => copyExtension(),
+    beforeInstall: () => beforeInstall(),
+    composerInstall: () => composerInstall(),
+    composerInstallDev: () => siteComposerInstallDev(),
+    rebuild: () => rebuild(),
+    afterInstall: () => afterInstall(),
+    setOwner: () => setOwner(),
+};
+
+/**
+ * Predefined step lists, keyed by the command line flag that runs them.
+ *
+ * @type {Object.<string, string[]>}
+ */
+const macros = {
+    'all': [
+        'fetch',
+        'install',
+        'installExtensions',
+        'copy',
+        'beforeInstall',
+        'composerInstall',
+        'rebuild',
+        'afterInstall',
+        'setOwner',
+    ],
+    'copy-to-end': [
+        'copy',
+        'beforeInstall',
+        'composerInstall',
+        'rebuild',
+        'afterInstall',
+        'setOwner',
+    ],
+    'install': [
+        'install',
+        'installExtensions',
+        'setOwner',
+    ],
+    'prepare-test': [
+        'fetch',
+        'composerInstallDev',
+    ],
+    'copy': [
+        'copy',
+        'setOwner',
+    ],
+};
+
 /**
  * @param {{extensionHook: function()}} [options]
  */
 function buildGeneral(options = {}) {
     //Single Commands
     // --update-archive             Download and store the latest version of Espo in the given branch for reuse
+    // --archive-list               List the cached archives with their versions and ages
+    // --archive-info [--branch=x]  Show the source, fetch date, version, commit and checksum of a cached archive
+    // --archive-prune [--days=n]   Remove cached archives older than n days (or the one of --branch=x)
     // --db-reset                   Create (or drop and recreate) the database schema (only the schema, no tables)
+    // --db-snapshot=<name> [--with-files]
+    //                              Dump the database [and site/data, site/custom] to snapshots/<name>
+    // --db-restore=<name>          Recreate the database [and site/data, site/custom] from snapshots/<name>
     // --rebuild                    Rebuild Espo's configuration (CLI version of UI->Administration->Rebuild)
-    // --extension                  Build the extension for distribution
+    // --extension [--bundle-report] [--lint-php]
+    //                              Build the extension for distribution [and report the sizes of the bundled chunks]
+    //                              [after linting the PHP files]
+    // --bundle-report              Bundle the module and report the modules and sizes of each chunk (no package)
     // --before-install             Run only the beforeInstall process for the extension
     // --after-install              Run only the afterInstall process for the extension
     // --composer-install           Run composer install on the Espo installation (including the extension's composer requirements)
+    // --upgrade-package --from=<version or zip path>
+    //                              Build the extension and an upgrade package with the files changed since the given package
+    // --list-package-files         List the files that go into the package
+    // --lint-resources             Check the metadata and i18n JSON files (also run by --copy and --extension)
+    // --lint-php [--php-binary=<path>]
+    //                              Check the syntax and namespaces of the PHP files, writes build/reports/lint-php.xml
+    // --verify-package [--file=<zip path>]
+    //                              Check a built package (the current version by default)
+
+    // --test-unit [--filter=<pattern>] [--coverage]
+    //                              Run the module's unit tests with the site's PHPUnit, reports go to build/reports
+    // --test-integration [--filter=<pattern>] [--coverage]
+    //                              Run the module's integration tests against the test database
 
     //Macro Commands
     // --all [--db-reset] [--local] Rebuild from the beginning [with a new database] [from a local archive]
@@ -55,82 +214,192 @@ function buildGeneral(options = {}) {
     // --install                    Reinstall Espo (no extension) using the existing files in /site
     // --copy-to-end                Macro for: copyExtension, beforeInstall, composerInstall, rebuild, afterInstall, setOwner
     // --copy                       Copy the extension to /site an, set ownership of the files
+    // --prepare-test               Macro for: fetch, composerInstallDev
+    // --watch                      Keep /site in sync with src/files and tests, rebuilding on metadata and i18n changes
+    //
+    //Configuration
+    // --profile=<name>             Load config.<name>.json on top of config.json (or set ESPO_PROFILE)
+    //
+    //Step Selection (with a macro, or on their own to select from the steps of --all)
+    // --from=<step>                Start at the given step
+    // --to=<step>                  Stop after the given step
+    // --skip=<step>[,<step>]       Skip the given steps
     //
     //Example Workflows
     // node build --all [--db-reset] [--local]
     // node build --fetch --local; node build --install
     // node build --copy
     // node build --copy; node build --composer-install
+    // node build --all --from=copy --to=rebuild --skip=composerInstall
+
+    if (!validateParams()) {
+        process.exitCode = 1;
+
+        return;
+    }
+
+    config = helpers.loadConfig();
 
     let showHelp = true;
 
+    let pending = Promise.resolve();
+
+    /**
+     * @param {string} step
+     * @param {function(): (Promise|void)} callback
+     */
+    const run = (step, callback) => {
+        pending = pending.then(() => runStep(step, callback));
+    };
+
+    const finish = () => {
+        pending
+            .then(() => console.log('Done'))
+            .catch(e => reportFailure(e));
+    };
+
+    const macro = Object.keys(macros).find(name => helpers.hasProcessParam(name));
+
+    if (!macro && !helpers.hasProcessParam('upgrade-package')) {
+        const stepParam = ['from', 'to', 'skip'].find(name => helpers.getProcessParam(name));
+
+        // Without a macro, the step parameters would run --all instead of the given command.
+        const command = [
+            'update-archive',
+            'db-reset',
+            'fetch',
+            'watch',
+            'copy-file',
+            'before-install',
+            'after-install',
+            'extension',
+            'lint-php',
+            'test-unit',
+            'test-integration',
+            'bundle-report',
+            'rebuild',
+            'composer-install',
+        ].find(name => helpers.hasProcessParam(name));
+
+        if (stepParam && command) {
+            console.error(`--${stepParam} applies to macros, it can't be used with --${command}.`);
+
+            process.exitCode = 1;
+
+            return;
+        }
+    }
+
     if (helpers.hasProcessParam('update-archive')) {
-        updateArchive({branch: branch})
-        .then(() => console.log('Done'));
+        run('update-archive', () => updateArchive({branch: branch}));
 
         showHelp = false;
     }
 
+    if (helpers.hasProcessParam('archive-list')) {
+        run('archive-list', () => listArchives());
+        finish();
+
+        return;
+    }
+
+    if (helpers.hasProcessParam('archive-info')) {
+        run('archive-info', () => printArchiveInfo(branch));
+        finish();
+
+        return;
+    }
+
+    if (helpers.hasProcessParam('archive-prune')) {
+        run('archive-prune', () => pruneArchives(branch));
+        finish();
+
+        return;
+    }
+
+    if (helpers.getProcessParam('db-snapshot')) {
+        const name = helpers.getProcessParam('db-snapshot');
+
+        run('db-snapshot', () => databaseSnapshot(name, helpers.hasProcessParam('with-files')));
+        finish();
+
+        return;
+    }
+
+    if (helpers.getProcessParam('db-restore')) {
+        const name = helpers.getProcessParam('db-restore');
+
+        run('db-restore', () => databaseRestore(name));
+        finish();
+
+        return;
+    }
+
     if (helpers.hasProcessParam('db-reset')) {
-        databaseReset()
-        .then(() => console.log('Done'));
+        run('db-reset', () => databaseReset());
 
         showHelp = false;
     }
 
-    if (helpers.hasProcessParam('copy-to-end')) {
-        copyExtension()
-            .then(() => beforeInstall())
-            .then(() => composerInstall())
-            .then(() => rebuild())
-            .then(() => afterInstall())
-            .then(() => setOwner())
-            .then(() => console.log('Done'));
+    if (helpers.hasProcessParam('upgrade-package')) {
+        const from = helpers.getProcessParam('from');
+
+        if (!from) {
+            console.error('No --from parameter specified.');
+
+            process.exitCode = 1;
+
+            return;
+        }
+
+        run('upgrade-package', () => buildUpgradePackage(from, options.extensionHook));
+        finish();
+
+        return;
+    }
+
+    if (helpers.hasProcessParam('lint-resources')) {
+        run('lint-resources', () => lintResources());
+        finish();
 
         return;
     }
 
-    if (helpers.hasProcessParam('all')) {
-        fetchEspo({branch: branch})
-            .then(() => install())
-            .then(() => installExtensions())
-            .then(() => copyExtension())
-            .then(() => beforeInstall())
-            .then(() => composerInstall())
-            .then(() => rebuild())
-            .then(() => afterInstall())
-            .then(() => setOwner())
-            .then(() => console.log('Done'));
+    if (helpers.hasProcessParam('list-package-files')) {
+        run('list-package-files', () => listPackageFiles());
+        finish();
 
         return;
     }
 
-    if (helpers.hasProcessParam('prepare-test')) {
-        fetchEspo({branch: branch})
-            .then(() => siteComposerInstallDev());
+    if (helpers.hasProcessParam('verify-package')) {
+        run('verify-package', () => verifyPackage(helpers.getProcessParam('file')));
+        finish();
+
         return;
     }
 
-    if (helpers.hasProcessParam('install')) {
-        install().then(() => {
-            installExtensions().then(() => {
-                setOwner().then(() => console.log('Done'));
-            });
-        });
+    if (
+        macro ||
+        helpers.getProcessParam('from') ||
+        helpers.getProcessParam('to') ||
+        helpers.getProcessParam('skip')
+    ) {
+        run(macro ?? 'all', () => runSteps(macros[macro ?? 'all']));
+        finish();
 
         return;
     }
 
     if (helpers.hasProcessParam('fetch')) {
-        fetchEspo({branch: branch}).then(() => console.log('Done'));
+        run('fetch', () => fetchEspo({branch: branch}));
+        finish();
 
         return;
     }
 
-    if (helpers.hasProcessParam('copy')) {
-        copyExtension().then(() => {
-            setOwner().then(() => console.log('Done'));
-        });
+    if (helpers.hasProcessParam('watch')) {
+        watch();
 
         return;
     }
@@ -141,15 +410,16 @@ function buildGeneral(options = {}) {
         if (!file) {
             console.error('No --file parameter specified.');
 
+            process.exitCode = 1;
+
             return;
         }
 
         file = file.replaceAll('\\', '/');
 
         if (file.startsWith('tests/')) {
-            copyFileInTests(file);
-
-            console.log('Done');
+            run('copy-file', () => copyFileInTests(file));
+            finish();
 
             return;
         }
@@ -157,44 +427,91 @@ function buildGeneral(options = {}) {
         if (!file.startsWith('src/files/')) {
             console.error('File should be in `src/files` dir.');
 
+            process.exitCode = 1;
+
             return;
         }
 
         const realFile = file.substring(10);
 
-        copyFile(realFile).then(() => {
-            console.log('Done');
-        });
+        run('copy-file', () => copyFile(realFile));
+        finish();
 
         return;
     }
 
     if (helpers.hasProcessParam('before-install')) {
-        beforeInstall().then(() => console.log('Done'));
+        run('beforeInstall', () => beforeInstall());
+        finish();
 
         return;
     }
 
     if (helpers.hasProcessParam('after-install')) {
-        afterInstall().then(() => console.log('Done'));
+        run('afterInstall', () => afterInstall());
+        finish();
 
         return;
     }
 
     if (helpers.hasProcessParam('extension')) {
-        buildExtension(options.extensionHook).then(() => console.log('Done'));
+        const buildOptions = {bundleReport: helpers.hasProcessParam('bundle-report')};
+
+        if (helpers.hasProcessParam('lint-php')) {
+            run('lint-php', () => lintPhp());
+        }
+
+        run('extension', () => buildExtension(options.extensionHook, buildOptions));
+        finish();
+
+        return;
+    }
+
+    if (helpers.hasProcessParam('lint-php')) {
+        run('lint-php', () => lintPhp());
+        finish();
+
+        return;
+    }
+
+    if (helpers.hasProcessParam('test-unit') || helpers.hasProcessParam('test-integration')) {
+        const testOptions = {
+            filter: helpers.getProcessParam('filter'),
+            coverage: helpers.hasProcessParam('coverage'),
+        };
+
+        ['unit', 'integration']
+            .filter(type => helpers.hasProcessParam('test-' + type))
+            .forEach(type => run('test-' + type, () => runTests(type, testOptions)));
+
+        finish();
+
+        return;
+    }
+
+    if (helpers.hasProcessParam('bundle-report')) {
+        run('bundle-report', () => bundleReport());
+        finish();
 
         return;
     }
 
     if (helpers.hasProcessParam('rebuild')) {
-        rebuild().then(() => console.log('Done'));
+        run('rebuild', () => rebuild());
+        finish();
 
         return;
     }
 
     if (helpers.hasProcessParam('composer-install')) {
-        composerInstall().then(() => console.log('Done'));
+        run('composerInstall', () => composerInstall());
+        finish();
+
+        return;
+    }
+
+    if (!showHelp) {
+        finish();
 
         return;
     }
@@ -210,298 +527,774 @@ function buildGeneral(options = {}) {
     const flags = [
         ['after-install', 'run the After Install scripts (includes dev scripts)'],
         ['all', 'build all'],
+        ['archive-info', 'show the metadata of the cached archive of the branch'],
+        ['archive-list', 'list the cached archives'],
+        ['archive-prune', 'remove cached archives older than --days=<n> or the one of --branch=<branch>'],
         ['before-install', 'run the Before Install scripts (includes dev scripts)'],
+        ['bundle-report', 'report the modules and sizes of the bundled chunks, on its own or with --extension'],
         ['composer-install', 'run `composer install` for the module (includes dev packages)'],
         ['copy', 'copy source files to the `site` directory'],
         ['copy-to-end', 'run the sections from --all starting at --copy'],
-        ['db-reset', 'drop and recreate the database'],
+        ['db-reset', 'drop and recreate the database (MySQL or PostgreSQL, per `database.platform`)'],
+        ['db-restore', 'restore the database (and files, if stored) from --db-restore=<name>'],
+        ['db-snapshot', 'dump the database to --db-snapshot=<name>, add --with-files for site/data and site/custom'],
         ['extension', 'build extension package (does not include dev packages)'],
         ['fetch', 'download EspoCRM from Github'],
+        ['from', 'start a macro (--all by default) at the given step'],
+        ['lint-php', 'check the syntax and namespaces of the PHP files, on its own or before --extension'],
+        ['lint-resources', 'check the JSON syntax, i18n keys and scopes of the module resources'],
+        ['list-package-files', 'list the files that go into the extension package'],
         ['local', 'use the local archive of EspoCRM instead of downloading it'],
         ['rebuild', 'run rebuild'],
         ['prepare-test', 'fetches Espo instance and runs composer'],
+        ['profile', 'load `config.<name>.json` on top of `config.json` with --profile=<name>'],
+        ['skip', 'skip the given comma-separated steps of a macro'],
+        ['test-integration', 'run the integration tests of the module, add --filter=<pattern> or --coverage'],
+        ['test-unit', 'run the unit tests of the module, add --filter=<pattern> or --coverage'],
+        ['to', 'stop a macro (--all by default) after the given step'],
         ['update-archive', 'download EspoCRM from Github to a local archive'],
+        ['upgrade-package', 'build an upgrade package with the changes since --from=<version or zip path>'],
+        ['verify-package', 'check a built package, the current version or --file=<zip path>'],
+        ['watch', 'watch `src/files` and `tests` and sync changes to the `site` directory'],
     ]
 
     const msg = `\n Available flags:\n\n` + flags.map(it => ` --${it[0]} – ${it[1]};`).join('\n');
 
-    if (showHelp)
-        console.log(msg);
+    console.log(msg);
 }
 
 export {buildGeneral};
 
-function fetchEspo(params) {
-    params = params || {};
+/**
+ * Validate extension.json and the config. Prints errors and warnings.
+ *
+ * @return {boolean} False if there are errors.
+ */
+function validateParams() {
+    const extensionResult = helpers.validateSchema(extensionParams, extensionSchema);
 
-    if (helpers.hasProcessParam("local")) {
-        return fetchEspoLocal(params)
+    /** @type {{errors: string[], warnings: string[]}} */
+    let configResult;
+
+    try {
+        configResult = helpers.validateConfig();
     }
+    catch (e) {
+        configResult = {errors: [e.message], warnings: []};
+    }
+
+    const errors = [
+        ...extensionResult.errors.map(message => 'extension.json: ' + message),
+        ...configResult.errors,
+    ];
+
+    const warnings = [
+        ...extensionResult.warnings.map(message => 'extension.json: ' + message),
+        ...configResult.warnings,
+    ];
 
-    return new Promise((resolve) => {
-        console.log('Fetching EspoCRM repository...');
+    warnings.forEach(message => console.warn('Warning: ' + message));
+    errors.forEach(message => console.error('Error: ' + message));
 
-        if (fs.existsSync(cwd + '/site/archive.zip')) {
-            fs.unlinkSync(cwd + '/site/archive.zip');
-        }
+    return !errors.length;
+}
 
-        helpers.deleteDirRecursively(cwd + '/site');
+/**
+ * Run steps in order, narrowed by the --from, --to and --skip parameters.
+ *
+ * @param {string[]} list Step names.
+ * @return {Promise}
+ */
+function runSteps(list) {
+    const from = helpers.getProcessParam('from');
+    const to = helpers.getProcessParam('to');
+    const skip = (helpers.getProcessParam('skip') ?? '')
+        .split(',')
+        .map(item => item.trim())
+        .filter(item => item !== '');
+
+    [from, to, ...skip].filter(name => name).forEach(name => {
+        if (!(name in steps)) {
+            throw new Error(`Unknown step '${name}'. Available steps: ${Object.keys(steps).join(', ')}.`);
+        }
 
-        if (!fs.existsSync(cwd + '/site')) {
-            fs.mkdirSync(cwd + '/site');
+        if (!list.includes(name)) {
+            throw new Error(`Step '${name}' is not a part of: ${list.join(', ')}.`);
         }
+    });
 
-        let branch = params.branch || config.espocrm.branch;
+    const start = from ? list.indexOf(from) : 0;
+    const end = to ? list.indexOf(to) : list.length - 1;
 
-        if (config.espocrm.repository.indexOf('https://github.com') === 0) {
-            let repository = config.espocrm.repository;
+    if (start > end) {
+        throw new Error(`Step '${from}' comes after '${to}'.`);
+    }
 
-            if (repository.slice(-4) === '.git') {
-                repository = repository.slice(0, repository.length - 4);
-            }
+    return list
+        .slice(start, end + 1)
+        .filter(name => !skip.includes(name))
+        .reduce((promise, name) => promise.then(() => runStep(name, steps[name])), Promise.resolve());
+}
 
-            if (repository.slice(-1) !== '/') {
-                repository += '/';
+/**
+ * Run a step, marking an error it throws with the step name.
+ *
+ * @param {string} name
+ * @param {function(): (Promise|void)} callback
+ * @return {Promise}
+ */
+function runStep(name, callback) {
+    return Promise.resolve()
+        .then(() => callback())
+        .catch(e => {
+            if (!(e instanceof Error)) {
+                e = new Error(String(e));
             }
 
-            let archiveUrl = repository + 'archive/' + branch + '.zip';
+            e.step = e.step ?? name;
 
-            console.log('  Downloading EspoCRM archive from Github...');
+            throw e;
+        });
+}
+
+/**
+ * Print an error, including the failed step and the child process output, and set a non-zero exit code.
+ *
+ * @param {Error & {step?: string, stderr?: Buffer|string}} e
+ */
+function reportFailure(e) {
+    const stderr = e.stderr ? e.stderr.toString().trim() : '';
 
-            fetch(archiveUrl)
-                .then(response => {
-                    if (!response.ok) {
-                        throw new Error(`Unexpected response ${response.statusText}.`);
-                    }
+    console.error('');
+    console.error(e.step ? `Step '${e.step}' failed: ${e.message}` : `Failed: ${e.message}`);
 
-                    return response.body;
-                })
-                .then(body => {
-                    const streamPipeline = promisify(pipeline);
+    if (stderr && !e.message.includes(stderr)) {
+        console.error(stderr);
+    }
 
-                    return streamPipeline(body, fs.createWriteStream(cwd + '/site/archive.zip'));
-                })
-                .then(() => {
-                    console.log('  Unzipping...');
+    process.exitCode = 1;
+}
 
-                    const archive = new AdmZip(cwd + '/site/archive.zip');
+async function fetchEspo(params) {
+    params = params || {};
 
-                    archive.extractAllTo(cwd + '/site', true, true);
+    if (helpers.hasProcessParam("local")) {
+        return fetchEspoLocal(params)
+    }
 
-                    fs.unlinkSync(cwd + '/site/archive.zip');
+    console.log('Fetching EspoCRM repository...');
 
-                    helpers
-                        .moveDir(
-                            cwd + '/site/espocrm-' + branch.replace('/', '-'),
-                            cwd + '/site'
-                        )
-                        .then(() => resolve());
-                });
-        }
-        else {
-            throw new Error();
-        }
-    });
-}
+    let branch = params.branch || config.espocrm.branch;
 
-function install() {
-    return new Promise(resolve => {
-        console.log('Installing EspoCRM instance...');
+    const source = getEspoSource(branch);
 
-        console.log('  Creating config...');
+    if (fs.existsSync(cwd + '/site/archive.zip')) {
+        fs.unlinkSync(cwd + '/site/archive.zip');
+    }
 
-        createConfig();
-        buildEspo();
+    helpers.deleteDirRecursively(cwd + '/site');
 
-        if (fs.existsSync(cwd + '/site/install/config.php')) {
-            fs.unlinkSync(cwd + '/site/install/config.php');
-        }
+    if (!fs.existsSync(cwd + '/site')) {
+        fs.mkdirSync(cwd + '/site');
+    }
 
-        console.log('  Install: step1...');
+    if (source.type === 'dir') {
+        console.log('  Copying EspoCRM from ' + source.path + '...');
 
-        cp.execSync("php install/cli.php -a step1 -d \"user-lang=" + config.install.language + "\"",
-            {cwd: cwd + '/site'});
+        fs.copySync(source.path, cwd + '/site', {
+            filter: src => path.basename(src) !== '.git',
+        });
 
-        console.log('  Install: setupConfirmation...');
+        return;
+    }
 
-        const dbPlatform = config.database.platform ?? 'Mysql';
+    await createArchive(source, branch, cwd + '/site/archive.zip');
 
-        let host = config.database.host;
+    verifyArchiveChecksum(cwd + '/site/archive.zip', branch);
 
-        if (config.database.port) {
-            host += ':' + config.database.port;
-        }
+    console.log('  Unzipping...');
 
-        cp.execSync(
-            "php install/cli.php -a setupConfirmation -d \"host-name=" + host +
-            "&db-name=" + config.database.dbname +
-            "&db-platform=" + dbPlatform +
-            "&db-user-name=" + config.database.user +
-            "&db-user-password=" + config.database.password + "\"",
-            {cwd: cwd + '/site'}
-        );
+    await extractArchive(cwd + '/site/archive.zip', cwd + '/site');
 
-        console.log('  Install: checkPermission...');
+    fs.unlinkSync(cwd + '/site/archive.zip');
+}
 
-        cp.execSync("php install/cli.php -a \"checkPermission\"", {
-            cwd: cwd + '/site',
-            stdio: ['ignore', 'ignore', 'pipe'],
-        });
+/**
+ * Resolve where EspoCRM is taken from. The `espocrm.repository` config parameter is either a URL or a path
+ * to a local directory or a git clone. Git clones, bare or not, are archived at the branch, other directories
+ * are copied as is. The `espocrm.archiveUrl` parameter, a URL template with the `{repository}` and `{branch}`
+ * placeholders, is used for repositories not hosted on Github.
+ *
+ * @param {string} branch A branch, tag or commit SHA.
+ * @return {{type: 'url', url: string}|{type: 'git', path: string}|{type: 'dir', path: string}}
+ */
+function getEspoSource(branch) {
+    let repository = config.espocrm.repository;
 
-        console.log('  Install: saveSettings...');
+    if (!/^[a-z][a-z0-9+.-]*:\/\//i.test(repository)) {
+        const repositoryPath = path.resolve(cwd, repository);
 
-        cp.execSync(
-            "php install/cli.php -a saveSettings -d \"site-url=" + config.install.siteUrl +
-            "&default-permissions-user=" + config.install.defaultOwner +
-            "&default-permissions-group=" + config.install.defaultGroup + "\"",
-            {cwd: cwd + '/site'}
-        );
+        if (!fs.existsSync(repositoryPath) || !fs.lstatSync(repositoryPath).isDirectory()) {
+            throw new Error(`Repository directory '${repositoryPath}' does not exist.`);
+        }
 
-        console.log('  Install: buildDatabase...');
+        const isBare = fs.existsSync(repositoryPath + '/HEAD') && fs.existsSync(repositoryPath + '/objects');
 
-        cp.execSync("php install/cli.php -a \"buildDatabase\"", {
-            cwd: cwd + '/site',
-            stdio: ['ignore', 'ignore', 'pipe'],
-        });
+        // A checkout is archived too, its working tree may not be at the branch.
+        const isGit = isBare || fs.existsSync(repositoryPath + '/.git');
 
-        console.log('  Install: createUser...');
+        return {type: isGit ? 'git' : 'dir', path: repositoryPath};
+    }
 
-        cp.execSync("php install/cli.php -a createUser -d \"user-name=" + config.install.adminUsername +
-            '&user-pass=' + config.install.adminPassword + "\"",
-            {cwd: cwd + '/site'}
-        );
+    if (repository.slice(-4) === '.git') {
+        repository = repository.slice(0, repository.length - 4);
+    }
 
-        console.log('  Install: finish...');
+    if (repository.slice(-1) === '/') {
+        repository = repository.slice(0, -1);
+    }
 
-        cp.execSync("php install/cli.php -a \"finish\"", {cwd: cwd + '/site'});
+    if (config.espocrm.archiveUrl) {
+        const url = config.espocrm.archiveUrl
+            .replaceAll('{repository}', repository)
+            .replaceAll('{branch}', branch);
 
-        console.log('  Merge configs...');
+        return {type: 'url', url: url};
+    }
 
-        cp.execSync("php merge_configs.php", {cwd: cwd + '/php_scripts'});
+    if (repository.indexOf('https://github.com') !== 0) {
+        throw new Error(
+            `Unexpected repository URL '${repository}'. ` +
+            `Set 'espocrm.archiveUrl' for repositories not hosted on Github.`
+        );
+    }
 
-        resolve();
-    });
+    return {type: 'url', url: repository + '/archive/' + branch + '.zip'};
 }
 
-function buildEspo() {
-    console.log('  Npm install...');
-
-    cp.execSync("npm ci", {cwd: cwd + '/site', stdio: ['ignore', 'ignore', 'pipe']});
+/**
+ * @param {{type: 'url', url: string}|{type: 'git', path: string}} source
+ * @param {string} branch
+ * @param {string} file
+ * @return {Promise<void>}
+ */
+async function createArchive(source, branch, file) {
+    if (source.type === 'git') {
+        console.log(`  Archiving ${branch} from ${source.path}...`);
 
-    console.log('  Composer install...');
+        cp.execFileSync('git', ['archive', '--format=zip', '--output=' + file, branch], {
+            cwd: source.path,
+            stdio: ['ignore', 'ignore', 'pipe'],
+        });
 
-    cp.execSync("composer install", {cwd: cwd + '/site', stdio: ['ignore', 'ignore', 'pipe']});
+        return;
+    }
 
-    console.log('  Building...');
+    console.log('  Downloading EspoCRM archive...');
+    console.log('  Download URL: ' + source.url);
 
-    cp.execSync("grunt internal", {cwd: cwd + '/site', stdio: ['ignore', 'ignore', 'pipe']});
+    await downloadArchive(source.url, file);
 }
 
-function siteComposerInstallDev() {
-    console.log('Composer install...');
-    cp.execSync("composer install --ignore-platform-reqs", {cwd: cwd + '/site', stdio: 'ignore'});
-}
+/**
+ * @param {string} url
+ * @param {string} file
+ * @return {Promise<void>}
+ */
+async function downloadArchive(url, file) {
+    const response = await fetch(url);
 
-function createConfig() {
-    const config = helpers.loadConfig();
-
-    let charset = config.database.charset ?
-        "'" + config.database.charset + "'" : 'null';
-
-    let port = config.database.port ?
-        config.database.port : 'null';
-
-    let configString = `<?php
-        return [
-            'database' => [
-                'host' => '${config.database.host}',
-                'port' => ${port},
-                'charset' => ${charset},
-                'dbname' => '${config.database.dbname}',
-                'user' => '${config.database.user}',
-                'password' => '${config.database.password}',
-            ],
-            'isDeveloperMode' => true,
-            'useCache' => true,
-        ];
-    `;
+    if (!response.ok) {
+        throw new Error(`Unexpected response ${response.status} ${response.statusText} from ${url}.`);
+    }
 
-    fs.writeFileSync(cwd + '/site/data/config.php', configString);
+    const streamPipeline = promisify(pipeline);
+
+    await streamPipeline(response.body, fs.createWriteStream(file));
 }
 
 /**
+ * Check an archive against the `espocrm.sha256` config parameter, if set. The checksum pins the archive of
+ * the configured branch, so it is not checked when another branch is requested.
+ *
  * @param {string} file
- * @return {Promise<void>}
+ * @param {string} branch
  */
-function copyFile(file) {
-    return transpile(file).then(() => {
-        const moduleName = extensionParams.module;
-        const mod = helpers.camelCaseToHyphen(moduleName);
+function verifyArchiveChecksum(file, branch) {
+    const expected = config.espocrm.sha256;
 
-        const clientSrcPath = `client/custom/modules/${mod}/src/`;
+    if (!expected) {
+        return;
+    }
 
-        if (
-            file.startsWith(clientSrcPath) &&
-            file.endsWith('.js') &&
-            extensionParams.bundled &&
-            fs.existsSync(`${cwd}/build/assets/transpiled/${file.substring(7)}`)
-        ) {
-            fs.copySync(
-                `${cwd}/build/assets/transpiled/${file.substring(7)}`,
-                `${cwd}/site/client/custom/modules/${mod}/lib/transpiled/src/${file.substring(clientSrcPath.length)}`
-            );
+    if (branch !== config.espocrm.branch) {
+        console.log(`  Skipping the checksum check, it is pinned for ${config.espocrm.branch}.`);
 
-            console.log('  Copying transpiled...');
-        }
+        return;
+    }
 
-        console.log('  Copying source...');
+    const actual = helpers.getFileHash(file);
 
-        fs.copySync(`${cwd}/src/files/${file}`, `${cwd}/site/${file}`);
-    });
+    if (actual.toLowerCase() !== expected.toLowerCase()) {
+        throw new Error(
+            `Checksum mismatch for ${path.relative(cwd, file)}. ` +
+            `Expected SHA-256 ${expected}, got ${actual}. The archive is corrupted or has changed.`
+        );
+    }
+
+    console.log('  Checksum verified.');
 }
 
-function copyFileInTests(file) {
-    if (!file.startsWith('tests/')) {
+/**
+ * Extract an archive. If all its contents are in a single root folder, the folder's contents are moved up.
+ *
+ * @param {string} file
+ * @param {string} dir
+ * @return {Promise<void>}
+ */
+async function extractArchive(file, dir) {
+    const archive = new AdmZip(file);
+
+    const rootNames = new Set(
+        archive.getEntries()
+            .map(entry => entry.entryName.replaceAll('\\', '/'))
+            .map(name => name.includes('/') ? name.split('/')[0] + '/' : name)
+    );
+
+    archive.extractAllTo(dir, true, true);
+
+    if (rootNames.size !== 1) {
         return;
     }
 
-    if (!fs.existsSync(`${cwd}/${file}`)) {
+    const root = [...rootNames][0];
+
+    if (!root.endsWith('/')) {
         return;
     }
 
-    console.log('  Copying test file...');
-
-    fs.copySync(`${cwd}/${file}`, `${cwd}/site/${file}`);
+    await helpers.moveDir(dir + '/' + root.slice(0, -1), dir);
 }
 
-async function copyExtension() {
-    await transpile();
-
-    runScripts();
+async function install() {
+    console.log('Installing EspoCRM instance...');
 
-    const moduleName = extensionParams.module;
-    const mod = helpers.camelCaseToHyphen(moduleName);
+    console.log('  Creating config...');
 
-    if (fs.existsSync(cwd + '/site/custom/Espo/Modules/' + moduleName)) {
-        console.log('  Removing backend files...');
+    createConfig();
+    buildEspo();
 
-        helpers.deleteDirRecursively(cwd + '/site/custom/Espo/Modules/' + moduleName);
+    if (fs.existsSync(cwd + '/site/install/config.php')) {
+        fs.unlinkSync(cwd + '/site/install/config.php');
     }
 
-    if (fs.existsSync(cwd + '/site/client/custom/modules/' + mod)) {
-        console.log('  Removing frontend files...');
+    console.log('  Install: step1...');
 
-        helpers.deleteDirRecursively(cwd + '/site/client/custom/modules/' + mod);
-    }
+    runInstallAction('step1', {'user-lang': config.install.language});
 
-    if (
-        extensionParams.bundled &&
-        fs.existsSync(cwd + `/build/assets/transpiled/custom/modules/${mod}/src`)
-    ) {
-        fs.copySync(
-            cwd + `/build/assets/transpiled/custom/modules/${mod}/src`,
-            cwd + `/site/client/custom/modules/${mod}/lib/transpiled/src`
-        );
+    console.log('  Install: setupConfirmation...');
+
+    const dbPlatform = getDatabasePlatform();
+
+    let host = config.database.host;
+
+    if (config.database.port) {
+        host += ':' + config.database.port;
+    }
+
+    runInstallAction('setupConfirmation', {
+        'host-name': host,
+        'db-name': config.database.dbname,
+        'db-platform': dbPlatform,
+        'db-user-name': config.database.user,
+        'db-user-password': config.database.password,
+    });
+
+    console.log('  Install: checkPermission...');
+
+    runInstallAction('checkPermission', null, {stdio: ['ignore', 'ignore', 'pipe']});
+
+    console.log('  Install: saveSettings...');
+
+    runInstallAction('saveSettings', {
+        'site-url': config.install.siteUrl,
+        'default-permissions-user': config.install.defaultOwner,
+        'default-permissions-group': config.install.defaultGroup,
+    });
+
+    console.log('  Install: buildDatabase...');
+
+    runInstallAction('buildDatabase', null, {stdio: ['ignore', 'ignore', 'pipe']});
+
+    console.log('  Install: createUser...');
+
+    runInstallAction('createUser', {
+        'user-name': config.install.adminUsername,
+        'user-pass': config.install.adminPassword,
+    });
+
+    console.log('  Install: finish...');
+
+    runInstallAction('finish');
+
+    applyEspoConfig();
+
+    if (fs.existsSync(cwd + '/php_scripts/merge_configs.php')) {
+        console.log('  Merge configs...');
+
+        cp.execFileSync('php', ['merge_configs.php'], {cwd: cwd + '/php_scripts'});
+    }
+}
+
+/**
+ * Run an action of the EspoCRM CLI installer. The data is passed URL-encoded, the way the installer
+ * parses it. The command line is not included in the error message as it may contain passwords.
+ *
+ * @param {string} action
+ * @param {Object.<string, string>|null} [data]
+ * @param {Object} [options] Options for `execFileSync`.
+ */
+function runInstallAction(action, data = null, options = {}) {
+    const args = ['install/cli.php', '-a', action];
+
+    if (data) {
+        args.push('-d', new URLSearchParams(data).toString());
+    }
+
+    try {
+        cp.execFileSync('php', args, {cwd: cwd + '/site', ...options});
+    }
+    catch (e) {
+        const stderr = e.stderr ? e.stderr.toString().trim() : '';
+
+        e.message = `Installer action '${action}' failed.` + (stderr ? '\n' + stderr : '');
+
+        throw e;
+    }
+}
+
+function buildEspo() {
+    // On Windows, npm, composer and grunt are batch files that only run in a shell.
+    const options = {cwd: cwd + '/site', stdio: ['ignore', 'ignore', 'pipe'], shell: process.platform === 'win32'};
+
+    console.log('  Npm install...');
+
+    cp.execFileSync('npm', ['ci'], options);
+
+    console.log('  Composer install...');
+
+    cp.execFileSync('composer', ['install'], options);
+
+    console.log('  Building...');
+
+    cp.execFileSync('grunt', ['internal'], options);
+}
+
+function siteComposerInstallDev() {
+    console.log('Composer install...');
+    cp.execFileSync(
+        'composer',
+        ['install', '--ignore-platform-reqs'],
+        {cwd: cwd + '/site', stdio: ['ignore', 'ignore', 'pipe'], shell: process.platform === 'win32'}
+    );
+}
+
+function createConfig() {
+    const port = config.database.port ? Number(config.database.port) : null;
+
+    const data = {
+        database: {
+            platform: getDatabasePlatform(),
+            host: config.database.host,
+            port: isNaN(port) ? config.database.port : port,
+            charset: getDatabaseCharset(),
+            dbname: config.database.dbname,
+            user: config.database.user,
+            password: config.database.password,
+        },
+        isDeveloperMode: true,
+        useCache: true,
+    };
+
+    fs.writeFileSync(cwd + '/site/data/config.php', '<?php\n\nreturn ' + helpers.toPhpValue(data) + ';\n');
+}
+
+/**
+ * Write the settings of the `espoConfig` config section to the instance config with EspoCRM's own config
+ * writer, which puts each parameter into `config.php` or `config-internal.php`. The settings are passed as
+ * JSON through stdin, so no value ends up in PHP code.
+ */
+function applyEspoConfig() {
+    const settings = config.espoConfig ?? {};
+
+    if (!Object.keys(settings).length) {
+        return;
+    }
+
+    console.log('  Applying espoConfig settings...');
+
+    const code = [
+        `include 'bootstrap.php';`,
+        `$app = new \\Espo\\Core\\Application();`,
+        `$app->setupSystemUser();`,
+        `$configWriter = $app->getContainer()`,
+        `    ->getByClass(\\Espo\\Core\\InjectableFactory::class)`,
+        `    ->create(\\Espo\\Core\\Utils\\Config\\ConfigWriter::class);`,
+        `foreach (json_decode(file_get_contents('php://stdin'), true) as $key => $value) {`,
+        `    $configWriter->set($key, $value);`,
+        `}`,
+        `$configWriter->save();`,
+    ].join('\n');
+
+    cp.execFileSync('php', ['-r', code], {
+        cwd: cwd + '/site',
+        input: JSON.stringify(settings),
+        stdio: ['pipe', 'ignore', 'pipe'],
+    });
+}
+
+/**
+ * @param {string} file
+ * @return {Promise<void>}
+ */
+function copyFile(file) {
+    return transpile(file).then(() => {
+        const moduleName = extensionParams.module;
+        const mod = helpers.camelCaseToHyphen(moduleName);
+
+        const clientSrcPath = `client/custom/modules/${mod}/src/`;
+
+        if (
+            file.startsWith(clientSrcPath) &&
+            file.endsWith('.js') &&
+            extensionParams.bundled &&
+            fs.existsSync(`${cwd}/build/assets/transpiled/${file.substring(7)}`)
+        ) {
+            fs.copySync(
+                `${cwd}/build/assets/transpiled/${file.substring(7)}`,
+                `${cwd}/site/client/custom/modules/${mod}/lib/transpiled/src/${file.substring(clientSrcPath.length)}`
+            );
+
+            console.log('  Copying transpiled...');
+        }
+
+        console.log('  Copying source...');
+
+        fs.copySync(`${cwd}/src/files/${file}`, `${cwd}/site/${file}`);
+    });
+}
+
+function copyFileInTests(file) {
+    if (!file.startsWith('tests/')) {
+        return;
+    }
+
+    if (!fs.existsSync(`${cwd}/${file}`)) {
+        return;
+    }
+
+    console.log('  Copying test file...');
+
+    fs.copySync(`${cwd}/${file}`, `${cwd}/site/${file}`);
+}
+
+/**
+ * Remove a file or a directory that no longer exists in `src/files` from the site.
+ *
+ * @param {string} file A path relative to `src/files`.
+ */
+function removeFile(file) {
+    const mod = helpers.camelCaseToHyphen(extensionParams.module);
+
+    const clientSrcPath = `client/custom/modules/${mod}/src/`;
+
+    if (extensionParams.bundled && file.startsWith(clientSrcPath)) {
+        const subPath = file.substring(clientSrcPath.length);
+
+        fs.removeSync(`${cwd}/build/assets/transpiled/${file.substring(7)}`);
+        fs.removeSync(`${cwd}/site/client/custom/modules/${mod}/lib/transpiled/src/${subPath}`);
+    }
+
+    if (!fs.existsSync(`${cwd}/site/${file}`)) {
+        return;
+    }
+
+    console.log('  Removing source...');
+
+    fs.removeSync(`${cwd}/site/${file}`);
+}
+
+/**
+ * @param {string} file A path relative to the project root, starting with `tests/`.
+ */
+function removeFileInTests(file) {
+    if (!file.startsWith('tests/') || !fs.existsSync(`${cwd}/site/${file}`)) {
+        return;
+    }
+
+    console.log('  Removing test file...');
+
+    fs.removeSync(`${cwd}/site/${file}`);
+}
+
+/**
+ * Watch `src/files` and `tests` and apply every change to the site. Changes in metadata or i18n
+ * trigger a rebuild.
+ */
+function watch() {
+    const moduleName = extensionParams.module;
+
+    const resourcesPath = `custom/Espo/Modules/${moduleName}/Resources/`;
+
+    const rebuildPaths = [
+        resourcesPath + 'metadata/',
+        resourcesPath + 'i18n/',
+    ];
+
+    const mod = helpers.camelCaseToHyphen(moduleName);
+
+    const stylesPath = `client/custom/modules/${mod}/css/`;
+
+    const delay = 100;
+
+    /** @type {Map<string, number>} */
+    const timers = new Map();
+
+    let queue = Promise.resolve();
+    let rebuildTimer = null;
+    let stylesheetTimer = null;
+
+    const enqueue = callback => {
+        queue = queue
+            .then(callback)
+            .catch(e => console.error('  Error: ' + e.message));
+    };
+
+    const scheduleRebuild = () => {
+        clearTimeout(rebuildTimer);
+
+        rebuildTimer = setTimeout(() => enqueue(() => rebuild()), delay * 5);
+    };
+
+    const scheduleStylesheet = () => {
+        clearTimeout(stylesheetTimer);
+
+        stylesheetTimer = setTimeout(() => enqueue(() => {
+            console.log('  Building stylesheet...');
+
+            return buildStylesheet(`${cwd}/site/client/custom/modules/${mod}/lib/module-${mod}.css`);
+        }), delay * 5);
+    };
+
+    const syncFile = file => {
+        if (file.startsWith('tests/')) {
+            if (!fs.existsSync(`${cwd}/${file}`)) {
+                console.log('Removed: ' + file);
+
+                removeFileInTests(file);
+
+                return Promise.resolve();
+            }
+
+            console.log('Changed: ' + file);
+
+            const files = fs.lstatSync(`${cwd}/${file}`).isDirectory() ?
+                helpers.getFileList(`${cwd}/${file}`).map(item => `${file}/${item}`) :
+                [file];
+
+            files.forEach(item => copyFileInTests(item));
+
+            return Promise.resolve();
+        }
+
+        const realFile = file.substring(10);
+
+        if (rebuildPaths.some(item => (realFile + '/').startsWith(item))) {
+            scheduleRebuild();
+        }
+
+        if (extensionParams.bundleStyles && (realFile + '/').startsWith(stylesPath)) {
+            scheduleStylesheet();
+        }
+
+        if (!fs.existsSync(`${cwd}/${file}`)) {
+            console.log('Removed: ' + file);
+
+            removeFile(realFile);
+
+            return Promise.resolve();
+        }
+
+        console.log('Changed: ' + file);
+
+        if (fs.lstatSync(`${cwd}/${file}`).isDirectory()) {
+            return helpers.getFileList(`${cwd}/${file}`)
+                .reduce(
+                    (promise, item) => promise.then(() => copyFile(`${realFile}/${item}`)),
+                    Promise.resolve()
+                );
+        }
+
+        return copyFile(realFile);
+    };
+
+    const onChange = (dir, filename) => {
+        if (!filename) {
+            return;
+        }
+
+        const file = dir + '/' + filename.replaceAll('\\', '/');
+
+        clearTimeout(timers.get(file));
+
+        timers.set(file, setTimeout(() => {
+            timers.delete(file);
+
+            enqueue(() => syncFile(file));
+        }, delay));
+    };
+
+    ['src/files', 'tests'].forEach(dir => {
+        if (!fs.existsSync(`${cwd}/${dir}`)) {
+            return;
+        }
+
+        fs.watch(`${cwd}/${dir}`, {recursive: true}, (event, filename) => onChange(dir, filename));
+
+        console.log(`Watching ${dir}...`);
+    });
+}
+
+async function copyExtension() {
+    lintResources();
+
+    await transpile();
+
+    runScripts();
+
+    const moduleName = extensionParams.module;
+    const mod = helpers.camelCaseToHyphen(moduleName);
+
+    if (fs.existsSync(cwd + '/site/custom/Espo/Modules/' + moduleName)) {
+        console.log('  Removing backend files...');
+
+        helpers.deleteDirRecursively(cwd + '/site/custom/Espo/Modules/' + moduleName);
+    }
+
+    if (fs.existsSync(cwd + '/site/client/custom/modules/' + mod)) {
+        console.log('  Removing frontend files...');
+
+        helpers.deleteDirRecursively(cwd + '/site/client/custom/modules/' + mod);
+    }
+
+    if (
+        extensionParams.bundled &&
+        fs.existsSync(cwd + `/build/assets/transpiled/custom/modules/${mod}/src`)
+    ) {
+        fs.copySync(
+            cwd + `/build/assets/transpiled/custom/modules/${mod}/src`,
+            cwd + `/site/client/custom/modules/${mod}/lib/transpiled/src`
+        );
     }
 
     if (fs.existsSync(cwd + `/build/assets/lib`)) {
@@ -517,454 +1310,2556 @@ async function copyExtension() {
         helpers.deleteDirRecursively(cwd + '/site/tests/unit/Espo/Modules/' + moduleName);
     }
 
-    if (fs.existsSync(cwd + '/site/tests/integration/Espo/Modules/' + moduleName)) {
-        console.log('  Removing integration test files...');
+    if (fs.existsSync(cwd + '/site/tests/integration/Espo/Modules/' + moduleName)) {
+        console.log('  Removing integration test files...');
+
+        helpers.deleteDirRecursively(cwd + '/site/tests/integration/Espo/Modules/' + moduleName);
+    }
+
+    console.log('  Copying files...');
+
+    fs.copySync(cwd + '/src/files', cwd + '/site/');
+
+    await buildStylesheet(cwd + `/site/client/custom/modules/${mod}/lib/module-${mod}.css`);
+
+    if (fs.existsSync(cwd + '/tests')) {
+        fs.copySync(cwd + '/tests', cwd + '/site/tests');
+    }
+}
+
+async function rebuild() {
+    console.log('Rebuilding EspoCRM instance...');
+
+    cp.execFileSync('php', ['rebuild.php'], {cwd: cwd + '/site'});
+}
+
+async function afterInstall () {
+    console.log('Running after-install script...');
+
+    cp.execFileSync('php', ['after_install.php'], {cwd: cwd + '/php_scripts'});
+}
+
+
+function runScripts() {
+    const scripts = /** @type {string[]} */extensionParams.scripts || [];
+
+    if (scripts.length) {
+        console.log('  Running scripts...');
+    }
+
+    // Scripts are shell commands written in extension.json, so they are run through a shell.
+    scripts.forEach(script => {
+        cp.execSync(script, {cwd: cwd, stdio: ['ignore', 'ignore', 'pipe']});
+    });
+}
+
+/**
+ * @param {function} [hook]
+ * @param {{bundleReport?: boolean}} [options]
+ * @return {Promise}
+ */
+function buildExtension(hook, options = {}) {
+    console.log('Building extension package...');
+
+    const manifest = buildManifest(getPackageVersion());
+
+    lintResources();
+
+    return transpile()
+        .then(() => {
+            helpers.deleteDirRecursively(cwd + `/build/assets/lib`);
+        })
+        .then(async () => {
+            if (!extensionParams.bundled) {
+                return;
+            }
+
+            const chunks = await bundleModule(manifest);
+
+            if (options.bundleReport) {
+                await writeBundleReport(chunks);
+            }
+
+            checkBundleSizes(chunks);
+        })
+        .then(() => {
+            if (!isTemplatesBundled()) {
+                return;
+            }
+
+            const mod = helpers.camelCaseToHyphen(extensionParams.module);
+
+            fs.ensureDirSync(cwd + '/build/assets/lib');
+
+            const templateBundler = new TemplateBundler({
+                dirs: [`src/files/client/custom/modules/${mod}/res/templates`],
+                dest: `build/assets/lib/templates.tpl`,
+                clientDir: `src/files/client`,
+            });
+
+            templateBundler.process();
+
+            return Promise.resolve();
+        })
+        .then(async () => {
+            const mod = helpers.camelCaseToHyphen(extensionParams.module);
+
+            await buildStylesheet(cwd + `/build/assets/lib/module-${mod}.css`, {minify: true});
+        })
+        .then(() => runScripts())
+        .then(() =>
+            new Promise((resolve, reject) => {
+                const packageFileName = getPackageFileName(manifest.version);
+
+                if (!fs.existsSync(cwd + '/build')) {
+                    fs.mkdirSync(cwd + '/build');
+                }
+
+                if (fs.existsSync(cwd + '/build/tmp')) {
+                    helpers.deleteDirRecursively(cwd + '/build/tmp');
+                }
+
+                if (fs.existsSync(cwd + '/build/' + packageFileName)) {
+                    fs.unlinkSync(cwd + '/build/' + packageFileName);
+                }
+
+                fs.mkdirSync(cwd + '/build/tmp');
+
+                const packageFiles = getPackageFiles();
+
+                Object.keys(packageFiles).forEach(file => {
+                    fs.copySync(packageFiles[file], cwd + '/build/tmp/' + file);
+                });
+
+                internalComposerBuildExtension();
+
+                if (writeThirdPartyNotices(cwd + '/build/tmp/THIRD-PARTY-NOTICES.txt')) {
+                    console.log('  Third-party notices have been written.');
+                }
+
+                if (hook) {
+                    hook();
+                }
+
+                fs.writeFileSync(cwd + '/build/tmp/manifest.json', JSON.stringify(manifest, null, 4));
+
+                const packageTime = getPackageTime(manifest.releaseDate, manifest.version);
+
+                zipDirectory(cwd + '/build/tmp', cwd + '/build/' + packageFileName, packageTime)
+                    .then(() => {
+                        console.log('Package has been built.');
+
+                        helpers.deleteDirRecursively(cwd + '/build/tmp');
+
+                        resolve();
+                    })
+                    .catch(e => reject(e));
+            })
+        );
+}
+
+/**
+ * Bundle the module into `build/assets/lib`, minifying the chunks.
+ *
+ * @param {Record} manifest The package manifest, for the license header and the directory of source maps kept
+ *   aside.
+ * @return {Promise<Object.<string, {source: string, output: string, requires: string[]}>>} The chunks in the order
+ *   of bundling, with the bundled sources and the written outputs.
+ */
+async function bundleModule(manifest) {
+    const mod = helpers.camelCaseToHyphen(extensionParams.module);
+
+    const modPaths = {};
+    modPaths[mod] = `custom/modules/${mod}`;
+
+    const bundleChunks = getBundleChunks();
+
+    const chunks =  {
+        init: {},
+    };
+
+    Object.keys(bundleChunks).forEach(name => {
+        chunks[name] = {
+            patterns: bundleChunks[name].patterns,
+            mapDependencies: bundleChunks[name].mapDependencies,
+            requires: bundleChunks[name].requires,
+        };
+    });
+
+    const bundler = new Bundler(
+        {
+            order: ['init', ...Object.keys(bundleChunks)],
+            basePath: 'src/files/client',
+            transpiledPath: 'build/assets/transpiled',
+            modulePaths: modPaths,
+            lookupPatterns: [`custom/modules/${mod}/src/**/*.js`],
+            chunks: chunks,
+        },
+        [], // @todo
+        `client/custom/modules/${mod}/lib/{*}.js`
+    );
+
+    const result = bundler.bundle();
+
+    if (!fs.existsSync(cwd + '/build/assets/lib')) {
+        fs.mkdirSync(cwd + '/build/assets/lib', {recursive: true});
+    }
+
+    fs.writeFileSync(cwd + '/build/assets/lib/init.js', result['init'], 'utf8');
+
+    const bundled = {
+        init: {source: result['init'], output: result['init'], requires: []},
+    };
+
+    const sourceMaps = (extensionParams.bundle || {}).sourceMaps;
+
+    /** @type {Set<string>} */
+    const mappedFiles = new Set();
+
+    const licenseHeader = getLicenseHeader(manifest);
+
+    for (const chunkName in bundleChunks) {
+        const minifyParams = bundleChunks[chunkName].minify;
+
+        if (minifyParams === false) {
+            const output = licenseHeader + '\n' + result[chunkName];
+
+            fs.writeFileSync(cwd + `/build/assets/lib/${chunkName}.js`, output, 'utf8');
+
+            bundled[chunkName] = {
+                source: result[chunkName],
+                output: output,
+                requires: bundleChunks[chunkName].requires ?? [],
+            };
+
+            continue;
+        }
+
+        const minifyOptions = {
+            ...(helpers.isObject(minifyParams) ? minifyParams : {}),
+            format: {
+                ...(helpers.isObject(minifyParams) ? minifyParams.format : {}),
+                preamble: licenseHeader,
+            },
+        };
+
+        if (sourceMaps) {
+            minifyOptions.sourceMap = {
+                content: buildBundleSourceMap(result[chunkName], mappedFiles),
+                filename: chunkName + '.js',
+                // A map kept aside is not referenced, browsers would fail to load it.
+                url: sourceMaps === 'package' ? chunkName + '.js.map' : undefined,
+                includeSources: true,
+            };
+        }
+
+        const minified = await minify(result[chunkName], minifyOptions);
+
+        fs.writeFileSync(cwd + `/build/assets/lib/${chunkName}.js`, minified.code, 'utf8');
+
+        bundled[chunkName] = {
+            source: result[chunkName],
+            output: minified.code,
+            requires: bundleChunks[chunkName].requires ?? [],
+        };
+
+        if (!sourceMaps) {
+            continue;
+        }
+
+        fs.writeFileSync(cwd + `/build/assets/lib/${chunkName}.js.map`, minified.map, 'utf8');
+
+        if (sourceMaps === 'separate') {
+            const mapDir = cwd + '/build/source-maps/' + manifest.version;
+
+            fs.ensureDirSync(mapDir);
+            fs.copySync(cwd + `/build/assets/lib/${chunkName}.js.map`, mapDir + `/${chunkName}.js.map`);
+
+            console.log(`  Source map of ${chunkName} has been saved to ${path.relative(cwd, mapDir)}.`);
+        }
+    }
+
+    if (sourceMaps) {
+        const srcPath = `${cwd}/src/files/client/custom/modules/${mod}/src`;
+
+        helpers.getFileList(srcPath)
+            .filter(file => file.endsWith('.js') && !mappedFiles.has(file))
+            .forEach(file => console.warn(`  Warning: source maps: module '${file}' is not found in the chunks.`));
+    }
+
+    return bundled;
+}
+
+/**
+ * Whether templates are bundled into `lib/templates.tpl`. By default, when the module is bundled.
+ *
+ * @return {boolean}
+ */
+function isTemplatesBundled() {
+    return extensionParams.bundleTemplates ?? !!extensionParams.bundled;
+}
+
+/**
+ * The CSS and LESS files of the module stylesheet, in the concatenation order. Files starting with `_` are left
+ * out as they are meant to be imported. Empty unless `bundleStyles` is set.
+ *
+ * @return {string[]} Paths relative to `client/custom/modules/<mod>/css`.
+ */
+function getStyleFiles() {
+    if (!extensionParams.bundleStyles) {
+        return [];
+    }
+
+    const mod = helpers.camelCaseToHyphen(extensionParams.module);
+
+    return helpers.getFileList(`${cwd}/src/files/client/custom/modules/${mod}/css`)
+        .filter(file => file.endsWith('.css') || file.endsWith('.less'))
+        .filter(file => !path.basename(file).startsWith('_'));
+}
+
+/**
+ * Build the module stylesheet: CSS and LESS files are compiled by less and concatenated. Local `@import`s of CSS
+ * files are inlined and relative `url()`s are rewritten for the stylesheet location in `lib`.
+ *
+ * @param {string} file A destination.
+ * @param {{minify?: boolean}} [options]
+ * @return {Promise<boolean>} False if the module has no styles.
+ */
+async function buildStylesheet(file, options = {}) {
+    const mod = helpers.camelCaseToHyphen(extensionParams.module);
+
+    const dir = `${cwd}/src/files/client/custom/modules/${mod}/css`;
+
+    const styleFiles = getStyleFiles();
+
+    if (!styleFiles.length) {
+        return false;
+    }
+
+    // Less keeps `@import "*.css"` as is, the `less` import option makes it inline the file.
+    const inlineCssImports = {
+        install: (instance, pluginManager) => pluginManager.addPreProcessor({
+            process: src => src.replace(/@import\s+(?=(?:url\(\s*)?['"]?(?![a-z]+:|\/)[^'")\s]+\.css['"]?\s*\)?\s*;)/gi,
+                '@import (less) '),
+        }),
+    };
+
+    const parts = [];
+
+    for (const name of styleFiles) {
+        const filename = `${dir}/${name}`;
+
+        let content;
+
+        try {
+            // URLs of imported files become relative to the compiled file, the root path then leads from lib to it.
+            content = (await less.render(fs.readFileSync(filename, 'utf8'), {
+                filename: filename,
+                rewriteUrls: 'all',
+                rootpath: path.relative(`${dir}/../lib`, path.dirname(filename)).replaceAll('\\', '/') + '/',
+                plugins: [inlineCssImports],
+            })).css;
+        }
+        catch (e) {
+            const location = path.relative(cwd, e.filename ?? filename) + (e.line ? ':' + e.line : '');
+
+            throw new Error(`${location}: ${e.message}`);
+        }
+
+        if (options.minify) {
+            parts.push(cssoMinify(content, {restructure: false}).css);
+
+            continue;
+        }
+
+        parts.push(`/* ${name} */\n${content.trim()}\n`);
+    }
+
+    fs.ensureDirSync(path.dirname(file));
+    fs.writeFileSync(file, parts.join(options.minify ? '' : '\n'));
+
+    return true;
+}
+
+/**
+ * The comment put at the top of the bundled chunks: the extension name and version, followed by the `license`
+ * of extension.json or, if not set, the LICENSE file of the project. `{name}`, `{version}`, `{year}`, `{author}`
+ * and `{module}` in the license text are replaced.
+ *
+ * @param {Record} manifest
+ * @return {string}
+ */
+function getLicenseHeader(manifest) {
+    let license = extensionParams.license;
+
+    if (license === undefined && fs.existsSync(cwd + '/LICENSE')) {
+        license = fs.readFileSync(cwd + '/LICENSE', 'utf8');
+    }
+
+    const values = {
+        name: manifest.name,
+        version: manifest.version,
+        year: manifest.releaseDate.substring(0, 4),
+        author: manifest.author ?? '',
+        module: extensionParams.module,
+    };
+
+    const lines = [`${manifest.name} ${manifest.version}`];
+
+    if (license) {
+        const text = license
+            .replace(/\{(name|version|year|author|module)}/g, (match, key) => values[key])
+            .replaceAll('*/', '*\\/')
+            .trim();
+
+        lines.push('', ...text.split(/\r?\n/));
+    }
+
+    // The `/*!` comments are kept by minifiers.
+    return '/*!\n' + lines.map(line => (' * ' + line).trimEnd()).join('\n') + '\n */';
+}
+
+/**
+ * Write notices of the composer packages installed into `build/tmp`: name, version, license, authors and
+ * the license files of each package.
+ *
+ * @param {string} file
+ * @return {boolean} False if there are no installed packages.
+ */
+function writeThirdPartyNotices(file) {
+    const modulePath = 'files/custom/Espo/Modules/' + extensionParams.module;
+
+    // The composer.json is not packaged.
+    if (!fs.existsSync(`${cwd}/src/${modulePath}/composer.json`)) {
+        return false;
+    }
+
+    const composerConfig = JSON.parse(fs.readFileSync(`${cwd}/src/${modulePath}/composer.json`, 'utf8'));
+
+    const vendorPath = `${cwd}/build/tmp/${modulePath}/${composerConfig.config?.['vendor-dir'] ?? 'vendor'}`;
+
+    if (!fs.existsSync(vendorPath + '/composer/installed.json')) {
+        return false;
+    }
+
+    const installed = JSON.parse(fs.readFileSync(vendorPath + '/composer/installed.json', 'utf8'));
+
+    // Composer 1 writes a list, Composer 2 an object.
+    const packages = (Array.isArray(installed) ? installed : installed.packages ?? [])
+        .sort((a, b) => a.name.localeCompare(b.name));
+
+    if (!packages.length) {
+        return false;
+    }
+
+    const sections = packages.map(item => {
+        const lines = [
+            `${item.name} ${item.version ?? ''}`.trim(),
+            `License: ${(item.license ?? []).join(', ') || 'unknown'}`,
+        ];
+
+        if (item.authors?.length) {
+            lines.push('Authors: ' + item.authors.map(author => author.name).join(', '));
+        }
+
+        if (item.homepage) {
+            lines.push('Homepage: ' + item.homepage);
+        }
+
+        const packagePath = vendorPath + '/' + item.name;
+
+        const licenseFiles = fs.existsSync(packagePath) ?
+            fs.readdirSync(packagePath)
+                .filter(name => /^(licen[cs]e|copying|notice)(\.\w+)?$/i.test(name))
+                .filter(name => fs.lstatSync(packagePath + '/' + name).isFile())
+                .sort() :
+            [];
+
+        licenseFiles.forEach(name => {
+            lines.push('', fs.readFileSync(packagePath + '/' + name, 'utf8').trim());
+        });
+
+        return lines.join('\n');
+    });
+
+    const separator = '\n\n' + '-'.repeat(80) + '\n\n';
+
+    fs.writeFileSync(
+        file,
+        `${extensionParams.name} includes the following third-party packages.` + separator +
+        sections.join(separator) + '\n'
+    );
+
+    return true;
+}
+
+/**
+ * Bundle the module and print a report without building the package.
+ *
+ * @return {Promise<void>}
+ */
+async function bundleReport() {
+    if (!extensionParams.bundled) {
+        throw new Error('The extension is not bundled.');
+    }
+
+    await transpile();
+
+    helpers.deleteDirRecursively(cwd + '/build/assets/lib');
+
+    const chunks = await bundleModule(buildManifest(getPackageVersion()));
+
+    await writeBundleReport(chunks);
+
+    checkBundleSizes(chunks);
+}
+
+/**
+ * @param {number} size
+ * @return {string}
+ */
+function formatSize(size) {
+    return size < 1024 ? `${size} B` : `${(size / 1024).toFixed(1)} KB`;
+}
+
+/**
+ * Split a bundled chunk into its modules by their define calls.
+ *
+ * @param {string} source
+ * @return {{name: string, dependencies: string[], source: string}[]}
+ */
+function getBundledModules(source) {
+    const regExp = /\bdefine\(\s*(['"])([^'"]+)\1\s*,\s*(\[[^\]]*])?/g;
+
+    const matches = [...source.matchAll(regExp)];
+
+    return matches.map((match, i) => {
+        const dependencies = [...(match[3] ?? '').matchAll(/(['"])([^'"]*)\1/g)]
+            .map(item => item[2])
+            .filter(name => !['require', 'exports', 'module'].includes(name));
+
+        return {
+            name: match[2],
+            dependencies: dependencies,
+            source: source.substring(i === 0 ? 0 : match.index, matches[i + 1]?.index ?? source.length),
+        };
+    });
+}
+
+/**
+ * Build a report of bundled chunks: sizes of each chunk and its modules, the bundles the chunk requires and
+ * the modules it depends on that are not in the bundle.
+ *
+ * @param {Object.<string, {source: string, output: string, requires: string[]}>} chunks
+ * @return {Promise<{
+ *     chunks: {
+ *         name: string,
+ *         file: string,
+ *         size: {raw: number, min: number, gzip: number},
+ *         requires: string[],
+ *         external: string[],
+ *         modules: {name: string, size: {raw: number, min: number, gzip: number}}[],
+ *     }[],
+ * }>}
+ */
+async function buildBundleReport(chunks) {
+    const mod = helpers.camelCaseToHyphen(extensionParams.module);
+
+    /**
+     * @param {string} source
+     * @param {string} [minified]
+     * @return {Promise<{raw: number, min: number, gzip: number}>}
+     */
+    const getSizes = async (source, minified) => {
+        minified = minified ?? (await minify(source)).code ?? '';
+
+        return {
+            raw: Buffer.byteLength(source),
+            min: Buffer.byteLength(minified),
+            gzip: zlib.gzipSync(minified, {level: 9}).length,
+        };
+    };
+
+    const modulesByChunk = {};
+
+    Object.keys(chunks).forEach(name => modulesByChunk[name] = getBundledModules(chunks[name].source));
+
+    const bundledNames = Object.values(modulesByChunk).flat().map(item => item.name);
+
+    const report = {chunks: []};
+
+    for (const name in chunks) {
+        const modules = modulesByChunk[name];
+
+        const external = [...new Set(modules.flatMap(item => item.dependencies))]
+            .filter(dependency => !bundledNames.includes(dependency))
+            .sort();
+
+        const moduleReports = [];
+
+        for (const item of modules) {
+            moduleReports.push({name: item.name, size: await getSizes(item.source)});
+        }
+
+        moduleReports.sort((a, b) => b.size.raw - a.size.raw);
+
+        report.chunks.push({
+            name: name,
+            file: `client/custom/modules/${mod}/lib/${name}.js`,
+            size: await getSizes(chunks[name].source, chunks[name].output),
+            requires: chunks[name].requires,
+            external: external,
+            modules: moduleReports,
+        });
+    }
+
+    return report;
+}
+
+/**
+ * Print a bundle report and write it to `build/bundle-report.txt` and `build/bundle-report.json`.
+ *
+ * @param {Object.<string, {source: string, output: string, requires: string[]}>} chunks
+ * @return {Promise<void>}
+ */
+async function writeBundleReport(chunks) {
+    const report = await buildBundleReport(chunks);
+
+    /**
+     * @param {{raw: number, min: number, gzip: number}} size
+     * @return {string}
+     */
+    const formatSizes = size => [size.raw, size.min, size.gzip]
+        .map(value => formatSize(value).padStart(10))
+        .join('');
+
+    const lines = [];
+
+    report.chunks.forEach(chunk => {
+        lines.push(`${chunk.name} (${chunk.file})`);
+        lines.push(`  ${'Size (raw, min, gzip)'.padEnd(48)}${formatSizes(chunk.size)}`);
+        lines.push(`  Requires: ${chunk.requires.join(', ') || 'none'}`);
+        lines.push(`  External: ${chunk.external.join(', ') || 'none'}`);
+
+        if (chunk.modules.length) {
+            lines.push(`  Modules (${chunk.modules.length}):`);
+        }
+
+        chunk.modules.forEach(item => lines.push(`    ${item.name.padEnd(46)}${formatSizes(item.size)}`));
+
+        lines.push('');
+    });
+
+    const text = lines.join('\n');
+
+    fs.ensureDirSync(cwd + '/build');
+    fs.writeFileSync(cwd + '/build/bundle-report.txt', text);
+    fs.writeFileSync(cwd + '/build/bundle-report.json', JSON.stringify(report, null, 4));
+
+    console.log('\n' + text);
+    console.log('Bundle report has been written to build/bundle-report.txt and build/bundle-report.json.');
+}
+
+/**
+ * Check the written chunks against `bundle.maxSize`, either a limit for every chunk or limits by chunk name,
+ * in bytes. Throws if any is exceeded.
+ *
+ * @param {Object.<string, {source: string, output: string, requires: string[]}>} chunks
+ */
+function checkBundleSizes(chunks) {
+    const maxSize = (extensionParams.bundle || {}).maxSize;
+
+    if (maxSize === undefined) {
+        return;
+    }
+
+    Object.keys(helpers.isObject(maxSize) ? maxSize : {})
+        .filter(name => !chunks[name])
+        .forEach(name => console.warn(`  Warning: bundle.maxSize: there's no chunk '${name}'.`));
+
+    const problems = Object.keys(chunks)
+        .map(name => {
+            const limit = helpers.isObject(maxSize) ? maxSize[name] : maxSize;
+            const size = Buffer.byteLength(chunks[name].output);
+
+            if (limit === undefined || size <= limit) {
+                return null;
+            }
+
+            return `${name}.js is ${size} bytes, the limit is ${limit} bytes.`;
+        })
+        .filter(problem => problem);
+
+    if (problems.length) {
+        throw new Error('Bundle size limits exceeded:\n  ' + problems.join('\n  '));
+    }
+}
+
+/**
+ * The chunks of the bundled module, in the bundling order: the `module-<mod>` chunk, then the chunks defined in
+ * `bundle.chunks`. Files matched by the patterns of an extra chunk are left out of the module chunk.
+ *
+ * @return {Object.<string, {
+ *     patterns: string[],
+ *     requires?: string[],
+ *     mapDependencies: boolean,
+ *     minify?: boolean|Record,
+ * }>}
+ */
+function getBundleChunks() {
+    const mod = helpers.camelCaseToHyphen(extensionParams.module);
+
+    const bundleParams = extensionParams.bundle || {};
+    const extraChunks = bundleParams.chunks || {};
+
+    const chunkName = 'module-' + mod;
+
+    Object.keys(extraChunks).forEach(name => {
+        if (!/^[\w-]+$/.test(name)) {
+            throw new Error(`extension.json: 'bundle.chunks.${name}': a chunk name may only contain letters, ` +
+                `digits, '_' and '-'.`);
+        }
+
+        if (name === 'init' || name === chunkName) {
+            throw new Error(`extension.json: 'bundle.chunks.${name}': the chunk name is reserved.`);
+        }
+    });
+
+    /** @type {Object.<string, string>} */
+    const claimedFiles = {};
+
+    Object.keys(extraChunks).forEach(name => {
+        extraChunks[name].patterns
+            .flatMap(pattern => helpers.findFiles(cwd + '/src/files/client', pattern))
+            .filter(file => file.endsWith('.js'))
+            .forEach(file => {
+                if (claimedFiles[file] && claimedFiles[file] !== name) {
+                    throw new Error(`Bundle chunks '${claimedFiles[file]}' and '${name}' both include ${file}.`);
+                }
+
+                claimedFiles[file] = name;
+            });
+    });
+
+    let patterns = [`custom/modules/${mod}/src/**/*.js`];
+
+    if (Object.keys(claimedFiles).length) {
+        // The rest of the module files are listed one by one.
+        patterns = helpers.findFiles(cwd + '/src/files/client', patterns[0])
+            .filter(file => !claimedFiles[file]);
+    }
+
+    const chunks = {};
+
+    chunks[chunkName] = {
+        patterns: patterns,
+        mapDependencies: true,
+        requires: bundleParams.requires,
+    };
+
+    Object.keys(extraChunks).forEach(name => {
+        chunks[name] = {
+            mapDependencies: true,
+            ...extraChunks[name],
+        };
+    });
+
+    return chunks;
+}
+
+/**
+ * Build a source map of a bundled chunk. The bundler concatenates transpiled modules (or the sources of modules
+ * that are not transpiled), so each module is found in the chunk and its lines are mapped one to one. The
+ * transpiler produces no source maps, so transpiled modules are mapped to the transpiled code and named by their
+ * path under `transpiled/`.
+ *
+ * @todo Map to the original sources once the transpiler of espo-frontend-build-tools emits source maps, by passing
+ *   the per-module maps to terser as `sourceMap.content`.
+ *
+ * @param {string} code A chunk.
+ * @param {Set<string>} mapped Receives the module files found in the chunk.
+ * @return {string} A source map in JSON.
+ */
+function buildBundleSourceMap(code, mapped) {
+    const mod = helpers.camelCaseToHyphen(extensionParams.module);
+
+    const srcPath = `custom/modules/${mod}/src`;
+
+    /** @type {{source: string, content: string, line: number, column: number, skipped: number}[]} */
+    const located = [];
+
+    helpers.getFileList(`${cwd}/src/files/client/${srcPath}`)
+        .filter(file => file.endsWith('.js'))
+        .forEach(file => {
+            const transpiledFile = `${cwd}/build/assets/transpiled/${srcPath}/${file}`;
+
+            const isTranspiled = fs.existsSync(transpiledFile);
+
+            const content = fs.readFileSync(
+                isTranspiled ? transpiledFile : `${cwd}/src/files/client/${srcPath}/${file}`,
+                'utf8'
+            );
+
+            // The bundler may rewrite the define call on the first line.
+            const firstLineEnd = content.indexOf('\n');
+            const variants = firstLineEnd === -1 ?
+                [content] :
+                [content, content.substring(firstLineEnd + 1)];
+
+            for (let skipped = 0; skipped < variants.length; skipped++) {
+                const offset = variants[skipped].trim() ? code.indexOf(variants[skipped]) : -1;
+
+                if (offset === -1) {
+                    continue;
+                }
+
+                const before = code.substring(0, offset);
+
+                mapped.add(file);
+
+                located.push({
+                    source: (isTranspiled ? 'transpiled/' : '') + `${srcPath}/${file}`,
+                    content: content,
+                    line: before.split('\n').length - 1,
+                    column: offset - before.lastIndexOf('\n') - 1,
+                    skipped: skipped,
+                });
+
+                break;
+            }
+        });
+
+    /** @type {{column: number, source: number, line: number}[][]} */
+    const lines = code.split('\n').map(() => []);
+
+    located.forEach((item, index) => {
+        const count = item.content.split('\n').length - item.skipped;
+
+        for (let i = 0; i < count && item.line + i < lines.length; i++) {
+            lines[item.line + i].push({
+                column: i === 0 ? item.column : 0,
+                source: index,
+                line: item.skipped + i,
+            });
+        }
+    });
+
+    let previousSource = 0;
+    let previousLine = 0;
+
+    const mappings = lines
+        .map(segments => {
+            let previousColumn = 0;
+
+            return segments
+                .sort((a, b) => a.column - b.column)
+                .map(segment => {
+                    const encoded = helpers.encodeVlq(segment.column - previousColumn) +
+                        helpers.encodeVlq(segment.source - previousSource) +
+                        helpers.encodeVlq(segment.line - previousLine) +
+                        helpers.encodeVlq(0);
+
+                    previousColumn = segment.column;
+                    previousSource = segment.source;
+                    previousLine = segment.line;
+
+                    return encoded;
+                })
+                .join(',');
+        })
+        .join(';');
+
+    return JSON.stringify({
+        version: 3,
+        sources: located.map(item => item.source),
+        sourcesContent: located.map(item => item.content),
+        names: [],
+        mappings: mappings,
+    });
+}
+
+/**
+ * Check the JSON files under the module Resources and print a report. Throws if a file is not valid JSON.
+ * Warns about i18n keys that differ from `en_US` and about scopes referenced in `entityDefs` (by file names and
+ * link entities) that have no `scopes` entry in the module or the site.
+ */
+function lintResources() {
+    const moduleName = extensionParams.module;
+
+    const resourcesPath = `src/files/custom/Espo/Modules/${moduleName}/Resources`;
+
+    /** @type {string[]} */
+    const errors = [];
+    /** @type {string[]} */
+    const warnings = [];
+
+    /** @type {Object.<string, *>} */
+    const data = {};
+
+    console.log('Linting resources...');
+
+    helpers.getFileList(`${cwd}/${resourcesPath}`)
+        .filter(file => file.endsWith('.json'))
+        .forEach(file => {
+            const text = fs.readFileSync(`${cwd}/${resourcesPath}/${file}`, 'utf8');
+
+            try {
+                data[file] = JSON.parse(text);
+            }
+            catch (e) {
+                const position = e.message.match(/at position (\d+)/)?.[1];
+
+                const message = e.message
+                    .replace(/ in JSON at position \d+.*$/s, '')
+                    .replace(/, .*is not valid JSON$/s, '');
+
+                if (position === undefined) {
+                    errors.push(`${resourcesPath}/${file}: ${message}`);
+
+                    return;
+                }
+
+                const lines = text.substring(0, parseInt(position)).split('\n');
+
+                errors.push(`${resourcesPath}/${file}:${lines.length}:${lines.at(-1).length + 1}: ${message}`);
+            }
+        });
+
+    const i18nFiles = Object.keys(data).filter(file => file.startsWith('i18n/'));
+
+    const languages = [...new Set(i18nFiles.map(file => file.split('/')[1]))]
+        .filter(language => language !== 'en_US');
+
+    /**
+     * @param {*} value
+     * @return {string[]}
+     */
+    const getKeys = value => helpers.isObject(value) ?
+        helpers.getLeafPaths(value).map(keyPath => keyPath.join('.')) :
+        [];
+
+    // Taken from the disk, as a base file that is not valid JSON is still there.
+    const baseNames = helpers.getFileList(`${cwd}/${resourcesPath}/i18n/en_US`)
+        .filter(file => file.endsWith('.json'));
+
+    languages.forEach(language => {
+        baseNames.forEach(name => {
+            const file = `i18n/${language}/${name}`;
+
+            if (!(file in data)) {
+                if (!fs.existsSync(`${cwd}/${resourcesPath}/${file}`)) {
+                    warnings.push(`${resourcesPath}/${file}: missing, en_US has it.`);
+                }
+
+                return;
+            }
+
+            // Already reported as an error.
+            if (!(`i18n/en_US/${name}` in data)) {
+                return;
+            }
+
+            const baseKeys = getKeys(data[`i18n/en_US/${name}`]);
+            const keys = getKeys(data[file]);
+
+            const missing = baseKeys.filter(key => !keys.includes(key));
+            const extra = keys.filter(key => !baseKeys.includes(key));
+
+            if (missing.length) {
+                warnings.push(`${resourcesPath}/${file}: ${missing.length} key(s) missing: ${missing.join(', ')}`);
+            }
+
+            if (extra.length) {
+                warnings.push(`${resourcesPath}/${file}: ${extra.length} key(s) not in en_US: ${extra.join(', ')}`);
+            }
+        });
+
+        i18nFiles
+            .filter(file => file.startsWith(`i18n/${language}/`))
+            .filter(file => !baseNames.includes(file.substring(language.length + 6)))
+            .forEach(file => warnings.push(`${resourcesPath}/${file}: en_US has no such file.`));
+    });
+
+    const entityDefsFiles = Object.keys(data).filter(file => file.startsWith('metadata/entityDefs/'));
+
+    if (entityDefsFiles.length && !fs.existsSync(cwd + '/site/application')) {
+        console.log('  Scopes are not checked as there is no site to look up the scopes of other modules.');
+    }
+    else if (entityDefsFiles.length) {
+        const scopes = new Set();
+
+        const moduleDirs = ['site/application/Espo/Modules', 'site/custom/Espo/Modules']
+            .filter(dir => fs.existsSync(`${cwd}/${dir}`))
+            .flatMap(dir => fs.readdirSync(`${cwd}/${dir}`).map(item => `${dir}/${item}`));
+
+        [
+            `${resourcesPath}/metadata/scopes`,
+            'site/application/Espo/Resources/metadata/scopes',
+            ...moduleDirs.map(dir => `${dir}/Resources/metadata/scopes`),
+            'site/custom/Espo/Custom/Resources/metadata/scopes',
+        ]
+            .filter(dir => fs.existsSync(`${cwd}/${dir}`))
+            .forEach(dir => {
+                fs.readdirSync(`${cwd}/${dir}`)
+                    .filter(file => file.endsWith('.json'))
+                    .forEach(file => scopes.add(file.slice(0, -5)));
+            });
+
+        entityDefsFiles.forEach(file => {
+            const scope = path.basename(file, '.json');
+
+            if (!scopes.has(scope)) {
+                warnings.push(`${resourcesPath}/${file}: there's no scopes entry for '${scope}'.`);
+            }
+
+            const links = data[file]?.links ?? {};
+
+            Object.keys(links)
+                .filter(link => typeof links[link]?.entity === 'string' && !scopes.has(links[link].entity))
+                .forEach(link => {
+                    warnings.push(`${resourcesPath}/${file}: link '${link}' refers to '${links[link].entity}' ` +
+                        `with no scopes entry.`);
+                });
+        });
+    }
+
+    warnings.forEach(message => console.warn('  Warning: ' + message));
+    errors.forEach(message => console.log('  ✗ ' + message));
+
+    if (!errors.length && !warnings.length) {
+        console.log('  No problems found.');
+    }
+
+    if (errors.length) {
+        throw new Error(`Resource lint found ${errors.length} invalid JSON file(s).`);
+    }
+}
+
+/**
+ * Run the module tests of a type with the PHPUnit of the site, after copying the current tests there. The JUnit
+ * log, and coverage if requested, are written to `build/reports`.
+ *
+ * @param {'unit'|'integration'} type
+ * @param {{filter?: string|null, coverage?: boolean}} [options]
+ */
+function runTests(type, options = {}) {
+    const moduleName = extensionParams.module;
+
+    const testPath = `tests/${type}/Espo/Modules/${moduleName}`;
+
+    if (!fs.existsSync(`${cwd}/${testPath}`)) {
+        throw new Error(`There are no ${type} tests in ${testPath}.`);
+    }
+
+    if (!fs.existsSync(cwd + '/site/vendor/bin/phpunit')) {
+        throw new Error('PHPUnit is not installed in the site. Run `node build --prepare-test` first.');
+    }
+
+    helpers.deleteDirRecursively(`${cwd}/site/${testPath}`);
+    fs.copySync(`${cwd}/${testPath}`, `${cwd}/site/${testPath}`);
+
+    if (type === 'integration') {
+        createTestConfig();
+    }
+
+    const reportsPath = cwd + '/build/reports';
+
+    fs.ensureDirSync(reportsPath);
+
+    const args = ['vendor/bin/phpunit', '--log-junit', `${reportsPath}/phpunit-${type}.xml`];
+
+    if (options.filter) {
+        args.push('--filter', options.filter);
+    }
+
+    if (options.coverage) {
+        args.push(
+            '--coverage-filter', `custom/Espo/Modules/${moduleName}`,
+            '--coverage-clover', `${reportsPath}/coverage-${type}.xml`,
+            '--coverage-html', `${reportsPath}/coverage-${type}`
+        );
+    }
+
+    args.push(testPath);
+
+    console.log(`Running ${type} tests...`);
+
+    try {
+        cp.execFileSync('php', args, {
+            cwd: cwd + '/site',
+            stdio: 'inherit',
+            env: options.coverage ? {...process.env, XDEBUG_MODE: 'coverage'} : process.env,
+        });
+    }
+    catch (e) {
+        if (e.status === undefined || e.status === null) {
+            throw e;
+        }
+
+        throw new Error(`The ${type} tests failed, see build/reports/phpunit-${type}.xml.`);
+    }
+
+    console.log(`  Reports have been written to build/reports.`);
+}
+
+/**
+ * Write `site/tests/integration/config.php` with the test database: the `tests.database` settings of the config
+ * over the `database` ones, the database name being `<dbname>_test` by default. Integration tests clear the
+ * database, so it may not be the one of the site.
+ */
+function createTestConfig() {
+    const database = {
+        ...config.database,
+        dbname: config.database.dbname + '_test',
+        ...(config.tests?.database ?? {}),
+    };
+
+    if (database.dbname === config.database.dbname && database.host === config.database.host) {
+        throw new Error('The test database is the database of the site, integration tests would clear it. ' +
+            'Set another `tests.database.dbname` in the config.');
+    }
+
+    const port = database.port ? Number(database.port) : null;
+
+    const data = {
+        database: {
+            platform: getDatabasePlatform(),
+            host: database.host,
+            port: isNaN(port) ? database.port : port,
+            charset: getDatabaseCharset(),
+            dbname: database.dbname,
+            user: database.user,
+            password: database.password,
+        },
+    };
+
+    fs.writeFileSync(
+        cwd + '/site/tests/integration/config.php',
+        '<?php\n\nreturn ' + helpers.toPhpValue(data) + ';\n'
+    );
+}
+
+/**
+ * Lint the PHP files of the extension: `php -l` in parallel, and the namespace and class name of each class
+ * under `Espo\\Modules\\<Module>` against its path. Prints a report, writes it as JUnit XML to
+ * `build/reports/lint-php.xml` and throws if any problem is found. Warns if the PHP used is not of the minimum
+ * version of extension.json, as syntax of later versions is not detected then.
+ *
+ * @return {Promise<void>}
+ */
+async function lintPhp() {
+    const phpBinary = helpers.getProcessParam('php-binary') ?? 'php';
+
+    const files = helpers.getFileList(cwd + '/src')
+        .filter(file => file.endsWith('.php'))
+        .map(file => 'src/' + file);
+
+    console.log(`Linting ${files.length} PHP file(s)...`);
+
+    let phpVersion;
+
+    try {
+        phpVersion = cp.execFileSync(phpBinary, ['-r', 'echo PHP_VERSION;'], {stdio: ['ignore', 'pipe', 'pipe']})
+            .toString()
+            .trim();
+    }
+    catch (e) {
+        throw new Error(`Could not run PHP '${phpBinary}': ${e.message}`);
+    }
+
+    const minimumVersion = helpers.getMinimumVersion(extensionParams.php);
+
+    if (minimumVersion) {
+        const usedVersion = phpVersion.split('.').slice(0, minimumVersion.split('.').length).join('.');
+
+        if (helpers.compareVersions(usedVersion, minimumVersion) < 0) {
+            console.warn(`  Warning: PHP ${phpVersion} is older than the minimum ${minimumVersion} ` +
+                `of extension.json, syntax of later versions is reported as errors.`);
+        }
+
+        if (helpers.compareVersions(usedVersion, minimumVersion) > 0) {
+            console.warn(`  Warning: PHP ${phpVersion} is newer than the minimum ${minimumVersion} ` +
+                `of extension.json, syntax not available in ${minimumVersion} is not detected. ` +
+                `Use --php-binary=<path> to lint with PHP ${minimumVersion}.`);
+        }
+    }
+
+    /** @type {Object.<string, string[]>} */
+    const problems = {};
+
+    files.forEach(file => problems[file] = []);
+
+    const execFile = promisify(cp.execFile);
+
+    let next = 0;
+
+    const lintNext = async () => {
+        while (next < files.length) {
+            const file = files[next++];
+
+            try {
+                await execFile(phpBinary, ['-l', file], {cwd: cwd});
+            }
+            catch (e) {
+                const output = ((e.stderr ?? '') + (e.stdout ?? ''))
+                    .split('\n')
+                    .map(line => line.trim())
+                    .filter(line => line && !line.startsWith('Errors parsing'))
+                    .join(' ');
+
+                problems[file].push(output || e.message);
+            }
+        }
+    };
+
+    await Promise.all(Array.from({length: Math.min(os.cpus().length, files.length)}, () => lintNext()));
+
+    const modulePath = `src/files/custom/Espo/Modules/${extensionParams.module}/`;
+
+    files
+        .filter(file => file.startsWith(modulePath) && !file.includes('/vendor/'))
+        .forEach(file => {
+            const code = fs.readFileSync(cwd + '/' + file, 'utf8');
+
+            const classMatch = /^\s*(?:(?:abstract|final|readonly)\s+)*(class|interface|trait|enum)\s+(\w+)/m
+                .exec(code);
+
+            if (!classMatch) {
+                return;
+            }
+
+            const dir = path.dirname(file.substring(modulePath.length));
+
+            const expected = ['Espo', 'Modules', extensionParams.module, ...(dir === '.' ? [] : dir.split('/'))]
+                .join('\\');
+
+            const namespaceMatch = /^\s*namespace\s+([\w\\]+)\s*[;{]/m.exec(code);
+
+            if (!namespaceMatch) {
+                problems[file].push(`No namespace, expected ${expected}.`);
+            }
+            else if (namespaceMatch[1] !== expected) {
+                problems[file].push(`Namespace ${namespaceMatch[1]} does not match the path, expected ${expected}.`);
+            }
+
+            if (classMatch[2] !== path.basename(file, '.php')) {
+                problems[file].push(`The ${classMatch[1]} ${classMatch[2]} does not match the file name.`);
+            }
+        });
+
+    const failedFiles = files.filter(file => problems[file].length);
+
+    const reportFile = writeJUnitReport('lint-php', problems);
+
+    failedFiles.forEach(file => problems[file].forEach(problem => console.log(`  ✗ ${file}: ${problem}`)));
+
+    console.log(`  Report has been written to ${path.relative(cwd, reportFile)}.`);
+
+    if (!failedFiles.length) {
+        console.log('  No problems found.');
+
+        return;
+    }
+
+    throw new Error(`PHP lint found problems in ${failedFiles.length} file(s).`);
+}
+
+/**
+ * Write a JUnit XML report to `build/reports/<name>.xml`, with a test case per checked item.
+ *
+ * @param {string} name
+ * @param {Object.<string, string[]>} problems Problems by checked item, empty for passed ones.
+ * @return {string} The report file.
+ */
+function writeJUnitReport(name, problems) {
+    /**
+     * @param {string} value
+     * @return {string}
+     */
+    const escape = value => value
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+
+    const items = Object.keys(problems);
+    const failures = items.filter(item => problems[item].length).length;
+
+    const cases = items.map(item => {
+        const open = `    <testcase classname="${escape(name)}" name="${escape(item)}"`;
+
+        if (!problems[item].length) {
+            return open + '/>';
+        }
+
+        return open + '>\n' +
+            problems[item]
+                .map(problem => `      <failure message="${escape(problem)}">${escape(problem)}</failure>`)
+                .join('\n') +
+            '\n    </testcase>';
+    });
+
+    const xml = '<?xml version="1.0" encoding="UTF-8"?>\n' +
+        '<testsuites>\n' +
+        `  <testsuite name="${escape(name)}" tests="${items.length}" failures="${failures}">\n` +
+        cases.map(item => item + '\n').join('') +
+        '  </testsuite>\n' +
+        '</testsuites>\n';
+
+    const file = `${cwd}/build/reports/${name}.xml`;
+
+    fs.ensureDirSync(path.dirname(file));
+    fs.writeFileSync(file, xml);
+
+    return file;
+}
+
+/**
+ * Check a built package and print a report. Throws if any problem is found.
+ *
+ * @param {string} [file] A path to the package. The package of the current version by default.
+ * @return {Promise<void>}
+ */
+async function verifyPackage(file) {
+    file = file ?
+        path.resolve(cwd, file) :
+        cwd + '/build/' + getPackageFileName(getPackageVersion());
+
+    if (!fs.existsSync(file)) {
+        throw new Error(`Package '${file}' does not exist.`);
+    }
+
+    console.log('Verifying package ' + path.relative(cwd, file) + '...');
+
+    const zip = new AdmZip(file);
+
+    const entries = zip.getEntries().filter(entry => !entry.isDirectory);
+    const names = entries.map(entry => entry.entryName);
+    const dirNames = zip.getEntries().map(entry => entry.entryName);
+
+    /** @type {string[]} */
+    const problems = [];
+
+    /** @type {Record|null} */
+    let manifest = null;
+
+    if (!names.includes('manifest.json')) {
+        problems.push('manifest.json is missing.');
+    }
+    else {
+        try {
+            manifest = JSON.parse(zip.readAsText('manifest.json'));
+        }
+        catch (e) {
+            problems.push('manifest.json is not valid JSON: ' + e.message);
+        }
+    }
+
+    if (manifest) {
+        // EspoCRM itself requires only these, other fields are optional.
+        ['name', 'version'].forEach(field => {
+            if (manifest[field] === undefined || manifest[field] === null || manifest[field] === '') {
+                problems.push(`manifest.json: '${field}' is missing.`);
+            }
+        });
+
+        if (manifest.version !== undefined && !helpers.isValidVersion(manifest.version)) {
+            problems.push(`manifest.json: 'version' '${manifest.version}' is not a valid semantic version.`);
+        }
+
+        ['acceptableVersions', 'php'].forEach(field => {
+            if (manifest[field] === undefined) {
+                return;
+            }
+
+            const constraints = Array.isArray(manifest[field]) ? manifest[field] : [manifest[field]];
+
+            constraints
+                .filter(constraint => !helpers.isValidVersionConstraint(constraint))
+                .forEach(constraint =>
+                    problems.push(`manifest.json: '${field}' has an invalid constraint '${constraint}'.`)
+                );
+        });
+    }
+
+    if (fs.existsSync(file + '.sha256')) {
+        const expectedHash = fs.readFileSync(file + '.sha256', 'utf8').split(/\s/)[0];
+
+        if (expectedHash !== helpers.getFileHash(file)) {
+            problems.push(`Package checksum does not match ${path.basename(file)}.sha256.`);
+        }
+    }
+
+    names
+        .filter(name => name.endsWith('Development.php'))
+        .forEach(name => problems.push(`Development script is included: ${name}`));
+
+    names
+        .filter(name => ['composer.json', 'composer.lock', 'composer.phar'].includes(path.basename(name)))
+        .forEach(name => problems.push(`Composer file is included: ${name}`));
+
+    if (extensionParams.bundled) {
+        const modPath = `files/client/custom/modules/${helpers.camelCaseToHyphen(extensionParams.module)}`;
+
+        if (!dirNames.some(name => name.startsWith(modPath + '/lib/'))) {
+            problems.push(`Bundled package has no ${modPath}/lib directory.`);
+        }
+
+        if (dirNames.some(name => name.startsWith(modPath + '/src/'))) {
+            problems.push(`Bundled package includes the ${modPath}/src directory.`);
+        }
+    }
+
+    const phpEntries = entries.filter(entry => entry.entryName.endsWith('.php'));
+
+    const phpCheck = cp.spawnSync('php', ['-v']);
+
+    if (phpEntries.length && phpCheck.error) {
+        problems.push(`Could not check PHP syntax, PHP is not available: ${phpCheck.error.message}`);
+    }
+
+    phpEntries
+        .filter(() => !phpCheck.error)
+        .forEach(entry => {
+            const result = cp.spawnSync('php', ['-l'], {input: entry.getData()});
+
+            if (result.status !== 0) {
+                const output = (result.stderr.toString() + result.stdout.toString())
+                    .split('\n')
+                    .map(line => line.trim())
+                    .filter(line => line && !line.startsWith('Errors parsing'))
+                    .join(' ');
+
+                problems.push(`PHP syntax error in ${entry.entryName}: ${output}`);
+            }
+        });
+
+    console.log(`  Files: ${names.length}`);
+
+    if (!problems.length) {
+        console.log('  No problems found.');
+
+        return;
+    }
+
+    problems.forEach(problem => console.log('  ✗ ' + problem));
+
+    throw new Error(`Package verification found ${problems.length} problem(s).`);
+}
+
+/**
+ * Zip a directory reproducibly: entries are sorted, and all have the same time and permissions. A `.sha256`
+ * file in the `sha256sum` format is written next to the zip.
+ *
+ * @param {string} dir
+ * @param {string} file
+ * @param {Date} date The time of all entries.
+ * @return {Promise<void>}
+ */
+function zipDirectory(dir, file, date) {
+    return new Promise((resolve, reject) => {
+        const archive = archiver('zip');
+
+        const zipOutput = fs.createWriteStream(file);
+
+        archive.on('error', e => reject(e));
+        zipOutput.on('error', e => reject(e));
+        zipOutput.on('close', () => {
+            fs.writeFileSync(file + '.sha256', helpers.getFileHash(file) + '  ' + path.basename(file) + '\n');
+
+            resolve();
+        });
+
+        archive.pipe(zipOutput);
+
+        helpers.getFileList(dir)
+            .sort()
+            .forEach(name => {
+                // Passing stats skips the concurrent stat queue that would make the entry order vary.
+                archive.file(dir + '/' + name, {
+                    name: name,
+                    date: date,
+                    mode: 0o644,
+                    stats: fs.statSync(dir + '/' + name),
+                });
+            });
+
+        archive.finalize();
+    });
+}
+
+/**
+ * The release time: the `SOURCE_DATE_EPOCH` environment variable or the time of the commit tagged with
+ * the package version (`<version>` or `v<version>`).
+ *
+ * @param {string} version
+ * @return {Date|null} Null if neither is available.
+ */
+function getReleaseTime(version) {
+    if (process.env.SOURCE_DATE_EPOCH) {
+        const epoch = Number(process.env.SOURCE_DATE_EPOCH);
+
+        if (!Number.isInteger(epoch) || epoch < 0) {
+            throw new Error(`Invalid SOURCE_DATE_EPOCH '${process.env.SOURCE_DATE_EPOCH}'.`);
+        }
+
+        return new Date(epoch * 1000);
+    }
+
+    for (const tag of [version, 'v' + version]) {
+        try {
+            const output = cp.execFileSync('git', ['log', '-1', '--format=%ct', 'refs/tags/' + tag], {
+                cwd: cwd,
+                stdio: ['ignore', 'pipe', 'ignore'],
+            });
+
+            return new Date(Number(output.toString().trim()) * 1000);
+        }
+        catch (e) {}
+    }
+
+    return null;
+}
+
+/**
+ * The time of zip entries for a package with the given release date.
+ *
+ * @param {string} releaseDate
+ * @param {string} version
+ * @return {Date}
+ */
+function getPackageTime(releaseDate, version) {
+    return getReleaseTime(version) ?? new Date(releaseDate + 'T00:00:00Z');
+}
+
+/**
+ * Files to pack, mapped from paths in the package to source paths. Files in `src` are filtered by the
+ * default and the extension.json `exclude` patterns, relative to `src`. Files matching the extension.json
+ * `include` patterns, relative to the project root, are added at the same paths in the package.
+ *
+ * @return {Object.<string, string>}
+ */
+function getPackageFiles() {
+    const mod = helpers.camelCaseToHyphen(extensionParams.module);
+
+    const exclude = [
+        `files/custom/Espo/Modules/${extensionParams.module}/Classes/ConstantsDevelopment.php`,
+        'scripts/AfterInstallDevelopment.php',
+        'scripts/AfterUninstallDevelopment.php',
+        'scripts/BeforeInstallDevelopment.php',
+        'scripts/BeforeUninstallDevelopment.php',
+        ...(extensionParams.exclude ?? []),
+    ].map(pattern => helpers.globToRegExp(pattern));
+
+    const clientSrcPath = `files/client/custom/modules/${mod}/src/`;
+    const stylesPath = `files/client/custom/modules/${mod}/css/`;
+
+    const hasStyles = getStyleFiles().length > 0;
+
+    /** @type {Object.<string, string>} */
+    const files = {};
+
+    helpers.getFileList(cwd + '/src')
+        .filter(file => !exclude.some(regExp => regExp.test(file)))
+        .filter(file => !(extensionParams.bundled && file.startsWith(clientSrcPath)))
+        .filter(file => !(extensionParams.bundleStyles && file.startsWith(stylesPath) && /\.(css|less)$/.test(file)))
+        .forEach(file => files[file] = cwd + '/src/' + file);
+
+    if (extensionParams.bundled || isTemplatesBundled() || hasStyles) {
+        const shipSourceMaps = extensionParams.bundle?.sourceMaps === 'package';
+
+        helpers.getFileList(cwd + '/build/assets/lib')
+            .filter(file => shipSourceMaps || !file.endsWith('.map'))
+            .forEach(file => files[`files/client/custom/modules/${mod}/lib/${file}`] = cwd + '/build/assets/lib/' + file);
+    }
+
+    (extensionParams.include ?? []).forEach(pattern => {
+        // Leading wildcards would otherwise walk the dependencies, the build output, the database snapshots and
+        // the sources, which are packaged by their own rules.
+        const found = helpers.findFiles(cwd, pattern, [
+            '.git',
+            'node_modules',
+            'vendor',
+            'site',
+            'build',
+            'archive',
+            'snapshots',
+            'src',
+            'tests',
+        ]);
+
+        if (!found.length) {
+            console.warn(`  Warning: include pattern '${pattern}' matches no files.`);
+        }
+
+        found.forEach(file => files[file] = cwd + '/' + file);
+    });
+
+    return files;
+}
+
+/**
+ * Print the files that go into the package.
+ */
+function listPackageFiles() {
+    const files = getPackageFiles();
+
+    Object.keys(files).sort().forEach(file => {
+        const source = path.relative(cwd, files[file]);
+
+        console.log([file, 'src/' + file].includes(source) ? file : `${file} (from ${source})`);
+    });
+
+    if (
+        (extensionParams.bundled || isTemplatesBundled() || getStyleFiles().length) &&
+        !fs.existsSync(cwd + '/build/assets/lib')
+    ) {
+        console.log('The lib files are not listed as they are not built yet.');
+    }
+
+    console.log(`${Object.keys(files).length} file(s).`);
+}
+
+/**
+ * Build the package manifest. Fields set in the `manifest` section of extension.json override the defaults,
+ * unknown fields are passed through as is.
+ *
+ * @param {string} version
+ * @return {Record}
+ */
+function buildManifest(version) {
+    const params = extensionParams.manifest ?? {};
+
+    /** @type {string[]} */
+    const errors = [];
+
+    const isPathList = value => Array.isArray(value) &&
+        value.every(item => typeof item === 'string' && item !== '' && !item.startsWith('/') &&
+            !item.split('/').includes('..'));
+
+    const validators = {
+        skipBackup: value => typeof value === 'boolean' || 'a boolean',
+        releaseDate: value =>
+            typeof value === 'string' &&
+            /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+            !isNaN(Date.parse(value)) ||
+            'a date in the YYYY-MM-DD format',
+        dependencies: value =>
+            helpers.isObject(value) &&
+            Object.values(value).every(item =>
+                (Array.isArray(item) ? item : [item]).every(c => helpers.isValidVersionConstraint(c))
+            ) ||
+            'an object of extension names to version constraints',
+        delete: value => isPathList(value) || 'a list of relative file paths',
+        deleteBeforeCopy: value => isPathList(value) || 'a list of relative file paths',
+        checksum: value => typeof value === 'string' && value !== '' || 'a non-empty string',
+    };
+
+    const reserved = ['name', 'description', 'author', 'php', 'acceptableVersions', 'version'];
+
+    if (!helpers.isObject(params)) {
+        errors.push(`'manifest' should be an object.`);
+    }
+    else {
+        Object.keys(params).forEach(key => {
+            if (reserved.includes(key)) {
+                errors.push(key === 'version' ?
+                    `'manifest.version' is not allowed, the version is taken from package.json.` :
+                    `'manifest.${key}' is not allowed, set '${key}' at the top level.`
+                );
+
+                return;
+            }
+
+            const result = validators[key] ? validators[key](params[key]) : true;
+
+            if (result !== true) {
+                errors.push(`'manifest.${key}' should be ${result}, got ${JSON.stringify(params[key])}.`);
+            }
+        });
+    }
+
+    if (errors.length) {
+        throw new Error('Invalid manifest parameters in extension.json:\n  ' + errors.join('\n  '));
+    }
+
+    return {
+        name: extensionParams.name,
+        description: extensionParams.description,
+        author: extensionParams.author,
+        php: extensionParams.php,
+        acceptableVersions: extensionParams.acceptableVersions,
+        version: version,
+        skipBackup: true,
+        releaseDate: (getReleaseTime(version) ?? new Date()).toISOString().split('T')[0],
+        ...params,
+    };
+}
+
+/**
+ * @return {string}
+ */
+function getPackageVersion() {
+    const packageJsonFile = fs.existsSync(cwd + '/test-package.json') ?
+        cwd + '/test-package.json' : cwd + '/package.json';
+
+    return require(packageJsonFile).version;
+}
+
+/**
+ * @param {string} version
+ * @param {string} [suffix]
+ * @return {string}
+ */
+function getPackageFileName(version, suffix = '') {
+    const moduleName = extensionParams.packageName ?? extensionParams.module;
+
+    return helpers.camelCaseToHyphen(moduleName) + '-' + version + suffix + '.zip';
+}
+
+/**
+ * Build the extension and pack the files that differ from a previous package into an upgrade package.
+ * Files missing in the current build are listed in the manifest's `delete` so that they are removed on upgrade.
+ *
+ * @param {string} from A previous version, built into the `build` directory, or a path to a package.
+ * @param {function} [hook]
+ * @return {Promise}
+ */
+async function buildUpgradePackage(from, hook) {
+    const fromFile = from.toLowerCase().endsWith('.zip') ?
+        path.resolve(cwd, from) :
+        cwd + '/build/' + getPackageFileName(from);
+
+    if (!fs.existsSync(fromFile)) {
+        throw new Error(`Previous package '${fromFile}' does not exist.`);
+    }
+
+    const version = getPackageVersion();
+
+    if (fromFile === cwd + '/build/' + getPackageFileName(version)) {
+        throw new Error(`Previous package '${fromFile}' has the current version ${version}.`);
+    }
+
+    await buildExtension(hook);
+
+    console.log('Building upgrade package...');
+
+    const previousZip = new AdmZip(fromFile);
+    const currentZip = new AdmZip(cwd + '/build/' + getPackageFileName(version));
+
+    const previousManifest = JSON.parse(previousZip.readAsText('manifest.json'));
+
+    /** @type {Object.<string, Buffer>} */
+    const previousFiles = {};
+
+    previousZip.getEntries()
+        .filter(entry => !entry.isDirectory)
+        .forEach(entry => previousFiles[entry.entryName] = entry.getData());
+
+    const currentEntries = currentZip.getEntries().filter(entry => !entry.isDirectory);
+
+    const currentNames = currentEntries.map(entry => entry.entryName);
+
+    // Scripts and notices are always shipped.
+    const isShipped = entry => entry.entryName.startsWith('scripts/') ||
+        entry.entryName === 'THIRD-PARTY-NOTICES.txt';
+
+    const changedEntries = currentEntries.filter(entry => {
+        if (entry.entryName === 'manifest.json' || isShipped(entry)) {
+            return false;
+        }
+
+        const previousData = previousFiles[entry.entryName];
+
+        return !previousData || !previousData.equals(entry.getData());
+    });
+
+    const deleteList = Object.keys(previousFiles)
+        .filter(name => name.startsWith('files/') && !currentNames.includes(name))
+        .map(name => name.substring(6))
+        .sort();
+
+    const manifest = JSON.parse(currentZip.readAsText('manifest.json'));
+
+    manifest.delete = [...(manifest.delete ?? []), ...deleteList];
+
+    const upgradeFileName = getPackageFileName(version, '-upgrade-from-' + previousManifest.version);
+    const upgradeFile = cwd + '/build/' + upgradeFileName;
+
+    if (fs.existsSync(upgradeFile)) {
+        fs.unlinkSync(upgradeFile);
+    }
+
+    helpers.deleteDirRecursively(cwd + '/build/tmp');
+
+    currentEntries
+        .filter(entry => isShipped(entry))
+        .concat(changedEntries)
+        .forEach(entry => fs.outputFileSync(cwd + '/build/tmp/' + entry.entryName, entry.getData()));
+
+    fs.outputFileSync(cwd + '/build/tmp/manifest.json', JSON.stringify(manifest, null, 4));
+
+    await zipDirectory(cwd + '/build/tmp', upgradeFile, getPackageTime(manifest.releaseDate, manifest.version));
+
+    helpers.deleteDirRecursively(cwd + '/build/tmp');
+
+    console.log(`  Changed files: ${changedEntries.length}`);
+    console.log(`  Removed files: ${deleteList.length}`);
+    console.log('Upgrade package has been built: ' + upgradeFileName);
+}
+
+/**
+ * Transpile the module sources into `build/assets/transpiled`. Without a file, only sources changed since the last
+ * run are transpiled, per the content hashes in `build/assets/transpile-cache.json`, and the output of removed
+ * sources is deleted. Everything is transpiled again when the transpiler options or version change.
+ *
+ * @param {string} [file]
+ * @return {Promise<void>}
+ */
+function transpile(file) {
+    if (!extensionParams.bundled) {
+        return Promise.resolve();
+    }
+
+    const mod = helpers.camelCaseToHyphen(extensionParams.module);
+
+    if (file && !file.startsWith(`client/custom/modules/${mod}/src/`)) {
+        return Promise.resolve();
+    }
+
+    const options = {
+        path: `src/files/client/custom/modules/${mod}`,
+        mod: mod,
+        destDir: `build/assets/transpiled/custom`,
+    };
+
+    const srcPath = `${cwd}/src/files/client/custom/modules/${mod}/src`;
+    const destPath = `${cwd}/build/assets/transpiled/custom/modules/${mod}/src`;
+    const cacheFile = cwd + '/build/assets/transpile-cache.json';
+
+    const optionsHash = crypto.createHash('sha256')
+        .update(JSON.stringify({options: options, version: getTranspilerVersion()}))
+        .digest('hex');
+
+    /** @type {{options: string, files: Object.<string, string>}|null} */
+    let cache = null;
+
+    if (fs.existsSync(cacheFile)) {
+        try {
+            cache = JSON.parse(fs.readFileSync(cacheFile, 'utf8'));
+        }
+        catch (e) {}
+    }
+
+    if (cache && (cache.options !== optionsHash || !fs.existsSync(destPath))) {
+        cache = null;
+    }
+
+    if (file) {
+        const name = file.substring(`client/custom/modules/${mod}/src/`.length);
+
+        console.log('  Transpiling...');
+
+        // A stale output must not be left if the file no longer transpiles.
+        fs.removeSync(`${destPath}/${name}`);
+
+        (new Transpiler({...options, file: `src/files/${file}`})).process();
+
+        if (cache) {
+            if (fs.existsSync(`${srcPath}/${name}`)) {
+                cache.files[name] = helpers.getFileHash(`${srcPath}/${name}`);
+            }
+            else {
+                delete cache.files[name];
+            }
+
+            fs.writeFileSync(cacheFile, JSON.stringify(cache, null, 4));
+        }
+
+        return Promise.resolve();
+    }
+
+    /** @type {Object.<string, string>} */
+    const hashes = {};
+
+    if (fs.existsSync(srcPath)) {
+        helpers.getFileList(srcPath).forEach(name => hashes[name] = helpers.getFileHash(`${srcPath}/${name}`));
+    }
+
+    if (!cache) {
+        helpers.deleteDirRecursively(`${cwd}/build/assets/transpiled/custom`);
+
+        console.log('  Transpiling...');
+
+        (new Transpiler(options)).process();
+    }
+    else {
+        const changed = Object.keys(hashes).filter(name => cache.files[name] !== hashes[name]);
+        const removed = Object.keys(cache.files).filter(name => !hashes[name]);
+
+        removed
+            .filter(name => fs.existsSync(`${destPath}/${name}`))
+            .forEach(name => fs.unlinkSync(`${destPath}/${name}`));
+
+        if (changed.length) {
+            console.log(`  Transpiling ${changed.length} changed file(s)...`);
+        }
+
+        changed.forEach(name => {
+            const file = `src/files/client/custom/modules/${mod}/src/${name}`;
+
+            fs.removeSync(`${destPath}/${name}`);
+
+            (new Transpiler({...options, file: file})).process();
+        });
+    }
+
+    fs.ensureDirSync(path.dirname(cacheFile));
+    fs.writeFileSync(cacheFile, JSON.stringify({options: optionsHash, files: hashes}, null, 4));
+
+    return Promise.resolve();
+}
+
+/**
+ * @return {string|null}
+ */
+function getTranspilerVersion() {
+    try {
+        return require('espo-frontend-build-tools/package.json').version;
+    }
+    catch (e) {
+        return null;
+    }
+}
+
+async function installExtensions() {
+    if (!fs.existsSync(cwd + '/extensions')) {
+        return;
+    }
+
+    console.log("Installing extensions from 'extensions' directory...");
+
+    fs.readdirSync(cwd + '/extensions/').forEach(file => {
+        if (path.extname(file).toLowerCase() !== '.zip') {
+            return;
+        }
+
+        console.log('  Install: ' + file);
+
+        cp.execFileSync(
+            'php',
+            ['command.php', 'extension', '--file=../extensions/' + file],
+            {
+                cwd: cwd + '/site',
+                stdio: ['ignore', 'ignore', 'pipe'],
+            }
+        );
+    });
+}
+
+async function setOwner() {
+    try {
+        cp.execFileSync(
+            'chown',
+            ['-R', config.install.defaultOwner + ':' + config.install.defaultGroup, '.'],
+            {
+                cwd: cwd + '/site',
+                stdio: ['ignore', 'ignore', 'pipe'],
+            }
+        );
+    }
+    catch (e) {
+        e.message = `Could not set the owner of the site files to ` +
+            `${config.install.defaultOwner}:${config.install.defaultGroup}. ` + e.message;
+
+        throw e;
+    }
+}
+
+async function composerInstall() {
+    const moduleName = extensionParams.module;
+
+    internalComposerInstall(cwd + '/site/custom/Espo/Modules/' + moduleName, true);
+}
+
+function internalComposerInstall(modulePath, includeDev) {
+    if (!fs.existsSync(modulePath + '/composer.json')) {
+
+        return;
+    }
+
+    console.log('Running composer install...');
+
+    const args = includeDev ?
+        ['install', '--ignore-platform-reqs'] :
+        ['install', '--no-dev', '--ignore-platform-reqs'];
+
+    cp.execFileSync(
+        'composer',
+        args,
+        {
+            cwd: modulePath,
+            stdio: ['ignore', 'ignore', 'pipe'],
+            shell: process.platform === 'win32',
+        }
+    );
+}
+
+function internalComposerBuildExtension() {
+    const moduleName = extensionParams.module;
+
+    internalComposerInstall(cwd + '/build/tmp/files/custom/Espo/Modules/' + moduleName, false);
+
+    const removedFileList = [
+        'files/custom/Espo/Modules/' + moduleName + '/composer.json',
+        'files/custom/Espo/Modules/' + moduleName + '/composer.lock',
+        'files/custom/Espo/Modules/' + moduleName + '/composer.phar',
+    ];
+
+    removedFileList.forEach(file => {
+        if (fs.existsSync(cwd + '/build/tmp/' + file)) {
+            fs.unlinkSync(cwd + '/build/tmp/' + file);
+        }
+    });
+}
+
+async function updateArchive (params) {
+    params = params || {};
 
-        helpers.deleteDirRecursively(cwd + '/site/tests/integration/Espo/Modules/' + moduleName);
-    }
+    console.log('Updating the local archive...');
 
-    console.log('  Copying files...');
+    let branch = params.branch || config.espocrm.branch;
 
-    fs.copySync(cwd + '/src/files', cwd + '/site/');
+    const source = getEspoSource(branch);
 
-    if (fs.existsSync(cwd + '/tests')) {
-        fs.copySync(cwd + '/tests', cwd + '/site/tests');
+    if (source.type === 'dir') {
+        throw new Error(`Repository '${source.path}' is a directory, it is used directly and not archived.`);
     }
-}
 
-function rebuild() {
-    return new Promise(resolve => {
-        console.log('Rebuilding EspoCRM instance...');
+    const archivePath = getArchivePath(branch);
 
-        cp.execSync("php rebuild.php", {cwd: cwd + '/site'});
+    fs.ensureDirSync(path.dirname(archivePath));
 
-        resolve();
-    });
-}
+    console.log('  Location: ' + archivePath);
 
-function afterInstall () {
-    return new Promise(resolve => {
-        console.log('Running after-install script...');
+    try {
+        await createArchive(source, branch, archivePath + '.part');
 
-        cp.execSync("php after_install.php", {cwd: cwd + '/php_scripts'});
+        verifyArchiveChecksum(archivePath + '.part', branch);
+    }
+    catch (e) {
+        fs.removeSync(archivePath + '.part');
 
-        resolve();
-    })
-}
+        throw e;
+    }
 
+    fs.moveSync(archivePath + '.part', archivePath, {overwrite: true});
+    fs.removeSync(getArchiveInfoPath(archivePath));
 
-function runScripts() {
-    const scripts = /** @type {string[]} */extensionParams.scripts || [];
+    const info = readArchiveInfo(archivePath);
 
-    if (scripts.length) {
-        console.log('  Running scripts...');
-    }
+    info.branch = branch;
+    info.source = source.type === 'url' ? source.url : source.path;
+    info.fetchedAt = new Date().toISOString();
 
-    scripts.forEach(script => {
-        cp.execSync(script, {cwd: cwd, stdio: ['ignore', 'ignore', 'pipe']});
-    });
+    fs.writeFileSync(getArchiveInfoPath(archivePath), JSON.stringify(info, null, 4));
+
+    console.log('  Version: ' + (info.version ?? 'unknown') + (info.commit ? ` (${info.commit})` : ''));
 }
 
 /**
- * @param {function} [hook]
- * @return {Promise}
+ * @param {string} branch
+ * @return {string}
  */
-function buildExtension(hook) {
-    console.log('Building extension package...');
-
-    return transpile()
-        .then(() => {
-            helpers.deleteDirRecursively(cwd + `/build/assets/lib`);
-        })
-        .then(async () => {
-            if (!extensionParams.bundled) {
-                return;
-            }
-
-            const mod = helpers.camelCaseToHyphen(extensionParams.module);
+function getArchivePath(branch) {
+    return cwd + '/archive/archive-' + branch + '.zip';
+}
 
-            const modPaths = {};
-            modPaths[mod] = `custom/modules/${mod}`;
+/**
+ * @param {string} archivePath
+ * @return {string}
+ */
+function getArchiveInfoPath(archivePath) {
+    return archivePath.slice(0, -4) + '.json';
+}
 
-            let chunks =  {
-                init: {},
-            };
+/**
+ * Read the metadata of a cached archive from its sidecar file. Missing fields are resolved from the archive
+ * itself: the EspoCRM version from its package.json, the commit from the zip comment that Github and
+ * `git archive` set.
+ *
+ * @param {string} archivePath
+ * @return {{
+ *     branch?: string,
+ *     source?: string,
+ *     fetchedAt?: string,
+ *     version: string|null,
+ *     commit: string|null,
+ *     sha256: string,
+ *     size: number,
+ * }}
+ */
+function readArchiveInfo(archivePath) {
+    const infoPath = getArchiveInfoPath(archivePath);
 
-            const bundleParams = extensionParams.bundle || {};
+    const info = fs.existsSync(infoPath) ? JSON.parse(fs.readFileSync(infoPath, 'utf8')) : {};
 
-            const chunkName = 'module-' + mod;
+    if (info.sha256 && info.version !== undefined) {
+        return info;
+    }
 
-            chunks[chunkName] = {
-                patterns: [`custom/modules/${mod}/src/**/*.js`],
-                mapDependencies: true,
-                requires: bundleParams.requires,
-            };
+    const archive = new AdmZip(archivePath);
 
-            const bundler = new Bundler(
-                {
-                    order: ['init', chunkName],
-                    basePath: 'src/files/client',
-                    transpiledPath: 'build/assets/transpiled',
-                    modulePaths: modPaths,
-                    lookupPatterns: [`custom/modules/${mod}/src/**/*.js`],
-                    chunks: chunks,
-                },
-                [], // @todo
-                `client/custom/modules/${mod}/lib/{*}.js`
-            );
+    const packageEntry = archive.getEntries()
+        .filter(entry => /^([^/]+\/)?package\.json$/.test(entry.entryName))
+        .sort((a, b) => a.entryName.length - b.entryName.length)[0];
 
-            const result = bundler.bundle();
+    let version = null;
 
-            const minifiedSource = `/**LICENSE**/\n` +
-                (await minify(result[chunkName])).code;
+    if (packageEntry) {
+        try {
+            version = JSON.parse(packageEntry.getData().toString('utf8')).version ?? null;
+        }
+        catch (e) {}
+    }
 
-            if (!fs.existsSync(cwd + '/build/assets/lib')) {
-                fs.mkdirSync(cwd + '/build/assets/lib', {recursive: true});
-            }
+    const comment = archive.getZipComment().trim();
 
-            fs.writeFileSync(cwd + '/build/assets/lib/init.js', result['init'], 'utf8');
-            fs.writeFileSync(cwd + `/build/assets/lib/${chunkName}.js`, minifiedSource, 'utf8');
-        })
-        .then(() => {
-            if (!extensionParams.bundled) {
-                return;
-            }
+    return {
+        ...info,
+        version: version,
+        commit: /^[0-9a-f]{40}$/.test(comment) ? comment : null,
+        sha256: helpers.getFileHash(archivePath),
+        size: fs.statSync(archivePath).size,
+    };
+}
 
-            const mod = helpers.camelCaseToHyphen(extensionParams.module);
+/**
+ * @param {{fetchedAt?: string}} info
+ * @param {string} archivePath
+ * @return {number} Days since the archive was fetched.
+ */
+function getArchiveAge(info, archivePath) {
+    const fetchedAt = info.fetchedAt ? Date.parse(info.fetchedAt) : fs.statSync(archivePath).mtimeMs;
 
-            const templateBundler = new TemplateBundler({
-                dirs: [`src/files/client/custom/modules/${mod}/res/templates`],
-                dest: `build/assets/lib/templates.tpl`,
-                clientDir: `src/files/client`,
-            });
+    return (Date.now() - fetchedAt) / 86400000;
+}
 
-            templateBundler.process();
+/**
+ * @return {string[]} Paths of all cached archives.
+ */
+function getArchivePathList() {
+    return helpers.getFileList(cwd + '/archive')
+        .filter(file => path.basename(file).startsWith('archive-') && file.endsWith('.zip'))
+        .map(file => cwd + '/archive/' + file);
+}
 
-            return Promise.resolve();
-        })
-        .then(() => runScripts())
-        .then(() =>
-            new Promise(resolve => {
-                const moduleName = extensionParams.packageName ?? extensionParams.module;
-                const packageNameHyphen = helpers.camelCaseToHyphen(moduleName);
+function listArchives() {
+    const list = getArchivePathList();
 
-                const mod = helpers.camelCaseToHyphen(extensionParams.module);
+    if (!list.length) {
+        console.log('No cached archives.');
 
-                const packageJsonFile = fs.existsSync(cwd + '/test-package.json') ?
-                    cwd + '/test-package.json' : cwd + '/package.json';
+        return;
+    }
 
-                const packageParams = require(packageJsonFile);
+    console.log('Cached archives:');
 
-                let manifest = {
-                    name: extensionParams.name,
-                    description: extensionParams.description,
-                    author: extensionParams.author,
-                    php: extensionParams.php,
-                    acceptableVersions: extensionParams.acceptableVersions,
-                    version: packageParams.version,
-                    skipBackup: true,
-                    releaseDate: (new Date()).toISOString().split('T')[0],
-                };
+    list.forEach(archivePath => {
+        const info = readArchiveInfo(archivePath);
 
-                const packageFileName = packageNameHyphen + '-' + packageParams.version + '.zip';
+        const branch = info.branch ?? path.relative(cwd + '/archive', archivePath).slice(8, -4);
 
-                if (!fs.existsSync(cwd + '/build')) {
-                    fs.mkdirSync(cwd + '/build');
-                }
+        console.log(
+            `  ${branch}: ` +
+            `version ${info.version ?? 'unknown'}, ` +
+            `${Math.floor(getArchiveAge(info, archivePath))} day(s) old, ` +
+            `${(info.size / 1048576).toFixed(1)} MB` +
+            (info.commit ? `, commit ${info.commit.substring(0, 10)}` : '')
+        );
+    });
+}
 
-                if (fs.existsSync(cwd + '/build/tmp')) {
-                    helpers.deleteDirRecursively(cwd + '/build/tmp');
-                }
+/**
+ * @param {string} [branchName]
+ */
+function printArchiveInfo(branchName) {
+    branchName = branchName ?? config.espocrm.branch;
 
-                if (fs.existsSync(cwd + '/build/' + packageFileName)) {
-                    fs.unlinkSync(cwd + '/build/' + packageFileName);
-                }
+    const archivePath = getArchivePath(branchName);
 
-                fs.mkdirSync(cwd + '/build/tmp');
+    if (!fs.existsSync(archivePath)) {
+        throw new Error(`No cached archive for ${branchName}.`);
+    }
 
-                const ignore = [
-                    cwd + '/src/files/custom/Espo/Modules/' + extensionParams.module + '/Classes/ConstantsDevelopment.php',
-                    cwd + '/src/scripts/AfterInstallDevelopment.php',
-                    cwd + '/src/scripts/AfterUninstallDevelopment.php',
-                    cwd + '/src/scripts/BeforeInstallDevelopment.php',
-                    cwd + '/src/scripts/BeforeUninstallDevelopment.php',
-                ];
+    const info = readArchiveInfo(archivePath);
 
-                const filterFunc = (src, dest) => {
-                    return ignore.indexOf(src) == -1;
-                }
-                fs.copySync(cwd + '/src', cwd + '/build/tmp', { filter: filterFunc })
+    console.log('Archive: ' + path.relative(cwd, archivePath));
+    console.log('  Branch: ' + (info.branch ?? branchName));
+    console.log('  Source: ' + (info.source ?? 'unknown'));
+    console.log('  Fetched: ' + (info.fetchedAt ?? 'unknown'));
+    console.log('  Version: ' + (info.version ?? 'unknown'));
+    console.log('  Commit: ' + (info.commit ?? 'unknown'));
+    console.log('  SHA-256: ' + info.sha256);
+    console.log('  Size: ' + info.size + ' bytes');
+}
 
-                if (extensionParams.bundled) {
-                    fs.copySync(cwd + '/build/assets/lib', cwd + `/build/tmp/files/client/custom/modules/${mod}/lib`);
+/**
+ * Remove cached archives older than `--days` (the `espocrm.archiveMaxAge` config parameter by default), or
+ * the archive of the given branch, along with leftovers of interrupted downloads and orphaned metadata.
+ *
+ * @param {string} [branchName]
+ */
+function pruneArchives(branchName) {
+    const maxAge = Number(helpers.getProcessParam('days') ?? config.espocrm.archiveMaxAge ?? 30);
 
-                    helpers.deleteDirRecursively(`${cwd}/build/tmp/files/client/custom/modules/${mod}/src`);
-                }
+    if (isNaN(maxAge)) {
+        throw new Error('--days should be a number.');
+    }
 
-                internalComposerBuildExtension();
+    const files = helpers.getFileList(cwd + '/archive').map(file => cwd + '/archive/' + file);
 
-                if (hook) {
-                    hook();
-                }
+    /** @type {string[]} */
+    const removed = [];
 
-                fs.writeFileSync(cwd + '/build/tmp/manifest.json', JSON.stringify(manifest, null, 4));
+    getArchivePathList().forEach(archivePath => {
+        const isTarget = branchName ?
+            archivePath === getArchivePath(branchName) :
+            getArchiveAge(readArchiveInfo(archivePath), archivePath) > maxAge;
 
-                const archive = archiver('zip');
+        if (isTarget) {
+            removed.push(archivePath, getArchiveInfoPath(archivePath));
+        }
+    });
 
-                const zipOutput = fs.createWriteStream(cwd + '/build/' + packageFileName);
+    files
+        .filter(file =>
+            file.endsWith('.part') ||
+            file.endsWith('.json') && !fs.existsSync(file.slice(0, -5) + '.zip')
+        )
+        .forEach(file => removed.push(file));
 
-                zipOutput.on('close', () => {
-                    console.log('Package has been built.');
+    const existing = removed.filter(file => fs.existsSync(file));
 
-                    helpers.deleteDirRecursively(cwd + '/build/tmp');
+    existing.forEach(file => {
+        console.log('  Removing ' + path.relative(cwd, file) + '...');
 
-                    resolve();
-                });
+        fs.unlinkSync(file);
+    });
 
+    if (!existing.length) {
+        console.log('Nothing to prune.');
+    }
+}
 
-                archive.directory(cwd + '/build/tmp', '').pipe(zipOutput);
-                archive.finalize();
-            })
-        );
+/**
+ * @return {'Mysql'|'Postgresql'}
+ */
+function getDatabasePlatform() {
+    return config.database.platform ?? 'Mysql';
 }
 
 /**
- * @param {string} [file]
- * @return {Promise<void>}
+ * The configured charset. The MySQL-specific `utf8mb4` is mapped to `utf8` for PostgreSQL.
+ *
+ * @return {string|null}
  */
-function transpile(file) {
-    if (!extensionParams.bundled) {
-        return Promise.resolve();
+function getDatabaseCharset() {
+    const charset = config.database.charset || null;
+
+    if (getDatabasePlatform() === 'Postgresql' && charset && charset.toLowerCase().startsWith('utf8')) {
+        return 'utf8';
     }
 
-    const mod = helpers.camelCaseToHyphen(extensionParams.module);
+    return charset;
+}
 
-    if (file && !file.startsWith(`client/custom/modules/${mod}/src/`)) {
-        return Promise.resolve();
+async function databaseReset() {
+    if (getDatabasePlatform() === 'Postgresql') {
+        return databaseResetPostgresql();
     }
 
-    if (!file) {
-        helpers.deleteDirRecursively(`${cwd}/build/assets/transpiled/custom`);
-    }
+    const charset = config.database.charset || 'utf8mb4';
 
-    if (file) {
-        //
+    if (!/^\w+$/.test(charset)) {
+        throw new Error(`Invalid database charset '${charset}'.`);
     }
 
-    console.log('  Transpiling...');
+    const dbname = '`' + config.database.dbname.replaceAll('`', '``') + '`';
 
     const options = {
-        path: `src/files/client/custom/modules/${mod}`,
-        mod: mod,
-        destDir: `build/assets/transpiled/custom`,
+        env: getDatabaseClientEnv(),
+        stdio: ['ignore', 'ignore', 'pipe'],
     };
 
-    if (file) {
-        options.file = `src/files/${file}`;
-    }
-
-    (new Transpiler(options)).process();
+    console.log('Resetting the database...');
 
-    return Promise.resolve();
+    cp.execFileSync('mysql', [...getDatabaseClientArgs(), '-e', `DROP DATABASE IF EXISTS ${dbname}`], options);
+    cp.execFileSync(
+        'mysql',
+        [...getDatabaseClientArgs(), '-e', `CREATE SCHEMA ${dbname} DEFAULT CHARACTER SET ${charset}`],
+        options
+    );
 }
 
-function installExtensions() {
-    return new Promise(resolve => {
+async function databaseResetPostgresql() {
+    const args = getDatabaseClientArgs();
 
-        if (!fs.existsSync(cwd + '/extensions')) {
-            resolve();
+    const options = {
+        env: getDatabaseClientEnv(),
+        stdio: ['ignore', 'ignore', 'pipe'],
+    };
 
-            return;
+    const encoding = (getDatabaseCharset() ?? 'utf8').toUpperCase();
+
+    console.log('Resetting the database...');
+
+    cp.execFileSync('dropdb', [...args, '--if-exists', config.database.dbname], options);
+    cp.execFileSync(
+        'createdb',
+        [...args, '--encoding=' + encoding, '--template=template0', config.database.dbname],
+        options
+    );
+}
+
+/**
+ * Connection arguments for the database client tools of the configured platform.
+ *
+ * @return {string[]}
+ */
+function getDatabaseClientArgs() {
+    if (getDatabasePlatform() === 'Postgresql') {
+        const args = [
+            '--host=' + config.database.host,
+            '--username=' + config.database.user,
+            '--no-password',
+        ];
+
+        if (config.database.port) {
+            args.push('--port=' + config.database.port);
         }
 
-        console.log("Installing extensions from 'extensions' directory...");
+        return args;
+    }
 
-        fs.readdirSync(cwd + '/extensions/').forEach(file => {
-            if (path.extname(file).toLowerCase() !== '.zip') {
-                return;
-            }
+    const args = [
+        '--user=' + config.database.user,
+        '--host=' + config.database.host,
+    ];
 
-            console.log('  Install: ' + file);
+    if (config.database.port) {
+        args.push('--port=' + config.database.port);
+    }
 
-            cp.execSync(
-                "php command.php extension --file=\"../extensions/" + file + "\"",
-                {
-                    cwd: cwd + '/site',
-                    stdio: 'ignore',
-                }
-            );
-        });
+    return args;
+}
 
-        resolve();
-    });
+/**
+ * The environment for the database client tools, with the password set.
+ *
+ * @return {Object.<string, string>}
+ */
+function getDatabaseClientEnv() {
+    const name = getDatabasePlatform() === 'Postgresql' ? 'PGPASSWORD' : 'MYSQL_PWD';
+
+    return {...process.env, [name]: config.database.password};
 }
 
-function setOwner() {
-    return new Promise(resolve => {
-        try {
-            cp.execSync(
-                "chown -R " + config.install.defaultOwner + ":" + config.install.defaultGroup + " .",
-                {
-                    cwd: cwd + '/site',
-                    stdio: ['ignore', 'ignore', 'pipe'],
-                }
-            );
-        }
-        catch (e) {}
+/**
+ * @param {string} name
+ * @return {string}
+ */
+function getSnapshotDir(name) {
+    if (!/^\w[\w.-]*$/.test(name)) {
+        throw new Error(`Invalid snapshot name '${name}'. Use letters, digits, dots, dashes and underscores.`);
+    }
 
-        resolve();
-    });
+    return cwd + '/snapshots/' + name;
 }
 
-function composerInstall() {
-    return new Promise(resolve => {
-        const moduleName = extensionParams.module;
+/**
+ * Dump the database to the `snapshots/<name>` directory. With `withFiles`, `site/data` and `site/custom`
+ * are stored too.
+ *
+ * @param {string} name
+ * @param {boolean} [withFiles]
+ * @return {Promise<void>}
+ */
+async function databaseSnapshot(name, withFiles = false) {
+    const dir = getSnapshotDir(name);
 
-        internalComposerInstall(cwd + '/site/custom/Espo/Modules/' + moduleName, true);
+    // The previous snapshot is replaced only once the new one is complete.
+    const partDir = dir + '.part';
 
-        resolve();
-    });
-}
+    console.log(`Creating snapshot '${name}'...`);
 
-function internalComposerInstall(modulePath, includeDev) {
-    if (!fs.existsSync(modulePath + '/composer.json')) {
+    helpers.deleteDirRecursively(partDir);
+    fs.mkdirSync(partDir, {recursive: true});
 
-        return;
+    try {
+        writeSnapshot(partDir, withFiles);
     }
+    catch (e) {
+        helpers.deleteDirRecursively(partDir);
 
-    console.log('Running composer install...');
-
-    let devOption = includeDev ? "" : "--no-dev";
+        throw e;
+    }
 
-    cp.execSync(
-        `composer install ${devOption} --ignore-platform-reqs`,
-        {
-            cwd: modulePath,
-            stdio: ['ignore', 'ignore', 'pipe'],
-        }
-    );
+    helpers.deleteDirRecursively(dir);
+    fs.moveSync(partDir, dir);
 }
 
-function internalComposerBuildExtension() {
-    const moduleName = extensionParams.module;
+/**
+ * @param {string} dir
+ * @param {boolean} withFiles
+ */
+function writeSnapshot(dir, withFiles) {
+    const options = {
+        env: getDatabaseClientEnv(),
+        stdio: ['ignore', 'ignore', 'pipe'],
+    };
 
-    internalComposerInstall(cwd + '/build/tmp/files/custom/Espo/Modules/' + moduleName, false);
+    console.log('  Dumping the database...');
 
-    const removedFileList = [
-        'files/custom/Espo/Modules/' + moduleName + '/composer.json',
-        'files/custom/Espo/Modules/' + moduleName + '/composer.lock',
-        'files/custom/Espo/Modules/' + moduleName + '/composer.phar',
-    ];
+    if (getDatabasePlatform() === 'Postgresql') {
+        cp.execFileSync(
+            'pg_dump',
+            [...getDatabaseClientArgs(), '--no-owner', '--file=' + dir + '/database.sql', config.database.dbname],
+            options
+        );
+    }
+    else {
+        cp.execFileSync(
+            'mysqldump',
+            [
+                ...getDatabaseClientArgs(),
+                '--single-transaction',
+                '--routines',
+                '--result-file=' + dir + '/database.sql',
+                config.database.dbname,
+            ],
+            options
+        );
+    }
 
-    removedFileList.forEach(file => {
-        if (fs.existsSync(cwd + '/build/tmp/' + file)) {
-            fs.unlinkSync(cwd + '/build/tmp/' + file);
-        }
-    });
-}
+    if (withFiles) {
+        console.log('  Copying site/data and site/custom...');
+
+        ['data', 'custom'].forEach(item => {
+            if (fs.existsSync(cwd + '/site/' + item)) {
+                fs.copySync(cwd + '/site/' + item, dir + '/' + item);
+            }
+        });
+    }
 
-function updateArchive (params) {
-  params = params || {};
+    fs.writeFileSync(dir + '/snapshot.json', JSON.stringify({
+        createdAt: new Date().toISOString(),
+        platform: getDatabasePlatform(),
+        dbname: config.database.dbname,
+        withFiles: withFiles,
+    }, null, 4));
+}
 
-  return new Promise((resolve, fail) => {
-      console.log('Updating the local archive...');
+/**
+ * Recreate the database from the `snapshots/<name>` directory. If the snapshot includes files, `site/data` and
+ * `site/custom` are replaced with them.
+ *
+ * @param {string} name
+ * @return {Promise<void>}
+ */
+async function databaseRestore(name) {
+    const dir = getSnapshotDir(name);
 
-      if (!fs.existsSync(cwd + '/archive')) {
-          fs.mkdirSync(cwd + '/archive');
-      }
+    if (!fs.existsSync(dir + '/database.sql')) {
+        throw new Error(`Snapshot '${name}' does not exist.`);
+    }
 
-      let branch = params.branch || config.espocrm.branch;
+    const meta = fs.existsSync(dir + '/snapshot.json') ?
+        JSON.parse(fs.readFileSync(dir + '/snapshot.json', 'utf8')) : {};
 
-      if (fs.existsSync(cwd + './archive/archive-' + branch + '.zip')) {
-          fs.unlinkSync(cwd + './archive/archive-' + branch + '.zip');
-      }
+    if (meta.platform && meta.platform !== getDatabasePlatform()) {
+        throw new Error(`Snapshot '${name}' is for ${meta.platform}, the configured platform is ${getDatabasePlatform()}.`);
+    }
 
-      if (config.espocrm.repository.indexOf('https://github.com') !== 0) {
-        throw new Error('Unexpected URL');
-      }
+    console.log(`Restoring snapshot '${name}'...`);
 
-      let repository = config.espocrm.repository;
-      if (repository.slice(-4) === '.git') {
-          repository = repository.slice(0, repository.length - 4);
-      }
-      if (repository.slice(-1) !== '/') {
-          repository += '/';
-      }
+    await databaseReset();
 
-      let archiveUrl = repository + 'archive/' + branch + '.zip';
-      console.log('  Downloading EspoCRM archive from Github...');
+    console.log('  Loading the database dump...');
 
-      fetch(archiveUrl).then(response => {
-          if (!response.ok) {
-              throw new Error(`Unexpected response ${response.statusText}.`);
-          }
-          return response.body;
-      })
-      .then(body => {
-          const streamPipeline = promisify(pipeline);
-          let path = cwd + '/archive/archive-' + branch + '.zip'
-          console.log('  Download URL: ' + archiveUrl)
-          console.log('  Location: ' + path)
-          return streamPipeline(body, fs.createWriteStream(path));
-      })
-  });
-}
+    const dumpFd = fs.openSync(dir + '/database.sql', 'r');
 
-function databaseReset() {
-  let cmd = "export MYSQL_PWD=" + config.database.password;
-  cmd += "; mysql";
-  cmd += " --user=" + config.database.user;
-  cmd += " --host=" + config.database.host;
-  if (config.database.port)
-      cmd += " --port=" + config.database.port;
+    try {
+        if (getDatabasePlatform() === 'Postgresql') {
+            cp.execFileSync(
+                'psql',
+                [...getDatabaseClientArgs(), '--quiet', '--set=ON_ERROR_STOP=1', '--dbname=' + config.database.dbname],
+                {env: getDatabaseClientEnv(), stdio: [dumpFd, 'ignore', 'pipe']}
+            );
+        }
+        else {
+            cp.execFileSync(
+                'mysql',
+                [...getDatabaseClientArgs(), config.database.dbname],
+                {env: getDatabaseClientEnv(), stdio: [dumpFd, 'ignore', 'pipe']}
+            );
+        }
+    }
+    finally {
+        fs.closeSync(dumpFd);
+    }
 
-  console.log('Resetting the database...');
+    ['data', 'custom'].forEach(item => {
+        if (!fs.existsSync(dir + '/' + item)) {
+            return;
+        }
 
-  return new Promise(resolve => {
-      cp.execSync(`${cmd} -e 'DROP DATABASE IF EXISTS \`${config.database.dbname}\`'`);
-      cp.execSync(`${cmd} -e 'CREATE SCHEMA \`${config.database.dbname}\` DEFAULT CHARACTER SET ${config.database.charset}'`);
+        console.log(`  Restoring site/${item}...`);
 
-      resolve();
-  })
+        helpers.deleteDirRecursively(cwd + '/site/' + item);
+        fs.copySync(dir + '/' + item, cwd + '/site/' + item);
+    });
 }
 
-function beforeInstall () {
-    return new Promise(resolve => {
-        console.log('Running before-install script...');
-
-        cp.execSync("php before_install.php", {cwd: cwd + '/php_scripts'});
+async function beforeInstall () {
+    console.log('Running before-install script...');
 
-        resolve();
-    })
+    cp.execFileSync('php', ['before_install.php'], {cwd: cwd + '/php_scripts'});
 }
 
-function fetchEspoLocal(params) {
+async function fetchEspoLocal(params) {
     params = params || {};
 
-    return new Promise((resolve, fail) => {
-        let branch = params.branch || config.espocrm.branch;
+    let branch = params.branch || config.espocrm.branch;
 
-        let archivePath = cwd + '/archive/archive-' + branch + '.zip';
-        if (!fs.existsSync(archivePath)) {
-            updateArchive(params)
-        }
+    let archivePath = getArchivePath(branch);
 
-        console.log('Extracting the existing archive...');
-        console.log('  File: ' + archivePath);
+    if (!fs.existsSync(archivePath)) {
+        await updateArchive(params);
+    }
 
-        helpers.deleteDirRecursively(cwd + '/site');
-        if (!fs.existsSync(cwd + '/site')) {
-            fs.mkdirSync(cwd + '/site');
-        }
+    console.log('Extracting the existing archive...');
+    console.log('  File: ' + archivePath);
 
-        const archive = new AdmZip(archivePath);
-        archive.extractAllTo(cwd + '/site', true, true);
+    const info = readArchiveInfo(archivePath);
+    const maxAge = config.espocrm.archiveMaxAge ?? 30;
+    const age = getArchiveAge(info, archivePath);
 
-        helpers
-            .moveDir(
-                cwd + '/site/espocrm-' + branch.replace('/', '-'),
-                cwd + '/site'
-            )
-            .then(() => resolve());
-    });
-}
\ No newline at end of file
+    if (age > maxAge) {
+        console.warn(
+            `  Warning: the archive is ${Math.floor(age)} day(s) old` +
+            (info.version ? ` (version ${info.version})` : '') +
+            `. Run --update-archive to refresh it.`
+        );
+    }
+
+    verifyArchiveChecksum(archivePath, branch);
+
+    helpers.deleteDirRecursively(cwd + '/site');
+
+    if (!fs.existsSync(cwd + '/site')) {
+        fs.mkdirSync(cwd + '/site');
+    }
+
+    await extractArchive(archivePath, cwd + '/site');
+}
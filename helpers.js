@@ -1,4 +1,5 @@
 import fs from 'fs-extra';
+import crypto from 'crypto';
 import childProcess from 'child_process';
 import path from 'path';
 import {createRequire} from 'module';
@@ -39,11 +40,20 @@ const mergeDeep = function (target, ...sources) {
 
 const Export = {};
 
+/**
+ * @param {*} item
+ * @return {boolean}
+ */
+Export.isObject = item => !!isObject(item);
+
 /**
  * @return {{
  *     espocrm: {
  *         repository: string,
  *         branch: string,
+ *         archiveUrl?: string,
+ *         sha256?: string,
+ *         archiveMaxAge?: number,
  *     },
  *     database: {
  *         host: string,
@@ -55,22 +65,356 @@ const Export = {};
  *         platform?: string,
  *     },
  *     install: Record,
+ *     espoConfig?: Record,
  * }}
  */
 Export.loadConfig = () => {
-    const configDefault = require(cwd + '/config-default.json');
-    let config;
+    const config = {};
 
-    if (fs.existsSync(cwd + '/config.json')) {
-        config = {};
-        mergeDeep(config, configDefault, require(cwd + '/config.json'));
-    } else {
-        config = configDefault;
-    }
+    Export.loadConfigSources().forEach(item => mergeDeep(config, item.data));
 
     return config;
 }
 
+/**
+ * Config files and environment variable overrides, in the order they are merged.
+ *
+ * @return {{source: string, data: Object, unknownVariables?: string[]}[]}
+ */
+Export.loadConfigSources = () => {
+    const profile = Export.getProcessParam('profile') ?? process.env.ESPO_PROFILE;
+
+    const sources = [
+        {source: 'config-default.json', data: require(cwd + '/config-default.json')},
+    ];
+
+    if (fs.existsSync(cwd + '/config.json')) {
+        sources.push({source: 'config.json', data: require(cwd + '/config.json')});
+    }
+
+    if (profile) {
+        const profileFile = 'config.' + profile + '.json';
+
+        if (!fs.existsSync(cwd + '/' + profileFile)) {
+            throw new Error(`Config profile file '${profileFile}' does not exist.`);
+        }
+
+        sources.push({source: profileFile, data: require(cwd + '/' + profileFile)});
+    }
+
+    const config = {};
+
+    sources.forEach(item => mergeDeep(config, item.data));
+
+    const unknownVariables = [];
+
+    sources.push({
+        source: 'ESPO_* environment variables',
+        data: getEnvOverrides(config, process.env, unknownVariables),
+        unknownVariables: unknownVariables,
+    });
+
+    return sources;
+};
+
+/**
+ * @type {SchemaDef}
+ */
+const configSchema = {
+    type: 'object',
+    required: ['espocrm', 'database', 'install'],
+    properties: {
+        espocrm: {
+            type: 'object',
+            required: ['repository', 'branch'],
+            properties: {
+                repository: {type: 'string'},
+                branch: {type: 'string'},
+                archiveUrl: {type: 'string'},
+                sha256: {type: 'string'},
+                archiveMaxAge: {type: 'number'},
+            },
+        },
+        database: {
+            type: 'object',
+            required: ['host', 'dbname', 'user', 'password'],
+            properties: {
+                driver: {type: 'string'},
+                host: {type: 'string'},
+                port: {type: ['number', 'string', 'null']},
+                charset: {type: ['string', 'null']},
+                dbname: {type: 'string'},
+                user: {type: 'string'},
+                password: {type: 'string'},
+                platform: {type: 'string', enum: ['Mysql', 'Postgresql']},
+            },
+        },
+        install: {
+            type: 'object',
+            required: ['siteUrl', 'adminUsername', 'adminPassword'],
+            properties: {
+                language: {type: 'string'},
+                defaultOwner: {type: 'string'},
+                defaultGroup: {type: 'string'},
+                siteUrl: {type: 'string'},
+                adminUsername: {type: 'string'},
+                adminPassword: {type: 'string'},
+            },
+        },
+        espoConfig: {type: 'object', properties: {}, additionalProperties: true},
+        tests: {
+            type: 'object',
+            properties: {
+                database: {
+                    type: 'object',
+                    properties: {
+                        host: {type: 'string'},
+                        port: {type: ['number', 'string', 'null']},
+                        dbname: {type: 'string'},
+                        user: {type: 'string'},
+                        password: {type: 'string'},
+                    },
+                },
+            },
+        },
+    },
+};
+
+/**
+ * Validate every config source for types and unknown keys, then the merged config for required keys. Missing
+ * keys are reported for the config as a whole, as they may come from any of the sources.
+ *
+ * @return {{errors: string[], warnings: string[]}}
+ */
+Export.validateConfig = () => {
+    const errors = [];
+    const warnings = [];
+
+    const sources = Export.loadConfigSources();
+    const config = {};
+
+    sources.forEach(item => {
+        const result = Export.validateSchema(item.data, configSchema, {checkRequired: false});
+
+        result.errors.forEach(message => errors.push(`${item.source}: ${message}`));
+        result.warnings.forEach(message => warnings.push(`${item.source}: ${message}`));
+
+        (item.unknownVariables ?? []).forEach(variable =>
+            warnings.push(`${item.source}: ${variable} does not match any config key, ignored.`)
+        );
+
+        mergeDeep(config, item.data);
+    });
+
+    Export.validateSchema(config, configSchema).errors
+        .filter(message => message.endsWith('is missing.'))
+        .forEach(message => errors.push(`config: ${message}`));
+
+    return {errors: errors, warnings: warnings};
+};
+
+/**
+ * @typedef {{
+ *     type: string|string[],
+ *     properties?: Object.<string, SchemaDef>,
+ *     required?: string[],
+ *     additionalProperties?: boolean|SchemaDef,
+ *     items?: SchemaDef,
+ *     enum?: *[],
+ * }} SchemaDef
+ */
+
+/**
+ * @param {*} value
+ * @return {string}
+ */
+const getTypeName = value => {
+    if (value === null) {
+        return 'null';
+    }
+
+    if (Array.isArray(value)) {
+        return 'array';
+    }
+
+    return typeof value;
+};
+
+/**
+ * Validate a value against a schema. Keys not defined in an object schema produce warnings unless
+ * `additionalProperties` is set. If it's a schema, such keys are validated against it.
+ *
+ * @param {*} value
+ * @param {SchemaDef} schema
+ * @param {{checkRequired?: boolean}} [options]
+ * @param {string} [keyPath]
+ * @return {{errors: string[], warnings: string[]}}
+ */
+Export.validateSchema = (value, schema, options = {}, keyPath = '') => {
+    const checkRequired = options.checkRequired ?? true;
+
+    const errors = [];
+    const warnings = [];
+
+    const name = keyPath || 'root';
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+
+    if (!types.includes(getTypeName(value))) {
+        errors.push(`'${name}' should be of type ${types.join('|')}, got ${getTypeName(value)}.`);
+
+        return {errors: errors, warnings: warnings};
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`'${name}' should be one of ${schema.enum.map(item => JSON.stringify(item)).join(', ')}, ` +
+            `got ${JSON.stringify(value)}.`);
+    }
+
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, i) => {
+            const result = Export.validateSchema(item, schema.items, options, `${name}[${i}]`);
+
+            errors.push(...result.errors);
+            warnings.push(...result.warnings);
+        });
+    }
+
+    const additionalSchema = isObject(schema.additionalProperties) ? schema.additionalProperties : null;
+
+    if (!isObject(value) || !schema.properties && !additionalSchema) {
+        return {errors: errors, warnings: warnings};
+    }
+
+    if (checkRequired) {
+        (schema.required ?? [])
+            .filter(key => value[key] === undefined)
+            .forEach(key => {
+                const type = schema.properties[key].type;
+
+                errors.push(`'${keyPath ? keyPath + '.' : ''}${key}' ` +
+                    `(${Array.isArray(type) ? type.join('|') : type}) is missing.`);
+            });
+    }
+
+    Object.keys(value).forEach(key => {
+        const childPath = keyPath ? keyPath + '.' + key : key;
+
+        const propertySchema = schema.properties?.[key] ?? additionalSchema;
+
+        if (!propertySchema) {
+            if (!schema.additionalProperties) {
+                warnings.push(`Unknown key '${childPath}'.`);
+            }
+
+            return;
+        }
+
+        const result = Export.validateSchema(value[key], propertySchema, options, childPath);
+
+        errors.push(...result.errors);
+        warnings.push(...result.warnings);
+    });
+
+    return {errors: errors, warnings: warnings};
+};
+
+/**
+ * @param {string} string
+ * @return {string}
+ */
+const camelCaseToUpperSnake = string => string.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase();
+
+/**
+ * @param {string} string
+ * @return {string}
+ */
+const upperSnakeToCamelCase = string => string.toLowerCase().replace(/_([a-z0-9])/g, (m, c) => c.toUpperCase());
+
+/**
+ * @param {Object} object
+ * @param {string[]} [prefix]
+ * @return {string[][]}
+ */
+const getLeafPaths = (object, prefix = []) => {
+    let list = [];
+
+    for (const key in object) {
+        if (isObject(object[key])) {
+            list = list.concat(getLeafPaths(object[key], [...prefix, key]));
+
+            continue;
+        }
+
+        list.push([...prefix, key]);
+    }
+
+    return list;
+};
+
+Export.getLeafPaths = getLeafPaths;
+
+/**
+ * Get config overrides from `ESPO_*` environment variables. A variable name is the upper snake case
+ * key path, e.g. `ESPO_DATABASE_PASSWORD` for `database.password` or `ESPO_INSTALL_SITE_URL` for
+ * `install.siteUrl`. Keys not in the config are set with double underscores between the path parts,
+ * e.g. `ESPO_DATABASE__PLATFORM`.
+ *
+ * @param {Object} config
+ * @param {Object.<string, string>} env
+ * @param {string[]} [unknownVariables] Receives names of variables that match no key.
+ * @return {Object}
+ */
+const getEnvOverrides = (config, env, unknownVariables = []) => {
+    const paths = getLeafPaths(config);
+
+    const overrides = {};
+
+    Object.keys(env)
+        .filter(name => name.startsWith('ESPO_') && name !== 'ESPO_PROFILE')
+        .forEach(name => {
+            let keyPath = paths.find(item => 'ESPO_' + item.map(camelCaseToUpperSnake).join('_') === name);
+
+            if (!keyPath && name.includes('__')) {
+                keyPath = name.substring(5).split('__').map(upperSnakeToCamelCase);
+            }
+
+            if (!keyPath) {
+                unknownVariables.push(name);
+
+                return;
+            }
+
+            let current = config;
+            let target = overrides;
+
+            keyPath.slice(0, -1).forEach(key => {
+                current = isObject(current) ? current[key] : undefined;
+
+                if (!isObject(target[key])) {
+                    target[key] = {};
+                }
+
+                target = target[key];
+            });
+
+            const key = keyPath[keyPath.length - 1];
+            const currentValue = isObject(current) ? current[key] : undefined;
+
+            let value = env[name];
+
+            if (typeof currentValue === 'number' && value !== '' && !isNaN(Number(value))) {
+                value = Number(value);
+            }
+            else if (typeof currentValue === 'boolean' && ['true', 'false'].includes(value)) {
+                value = value === 'true';
+            }
+
+            target[key] = value;
+        });
+
+    return overrides;
+};
+
 const execute = (command, callback) => {
     exec(command, (error, stdout) => {
         callback(stdout);
@@ -105,6 +449,181 @@ const deleteDirRecursively = path => {
 
 Export.deleteDirRecursively = deleteDirRecursively;
 
+/**
+ * @param {string} dir
+ * @param {string} [prefix]
+ * @param {string[]} [skip] Directories not to scan, relative to the directory.
+ * @return {string[]} Paths of all files in the directory, relative to it.
+ */
+const getFileList = (dir, prefix = '', skip = []) => {
+    if (!fs.existsSync(dir)) {
+        return [];
+    }
+
+    let list = [];
+
+    fs.readdirSync(dir).sort().forEach(file => {
+        const curPath = dir + '/' + file;
+
+        if (fs.lstatSync(curPath).isDirectory()) {
+            if (!skip.includes(prefix + file)) {
+                list = list.concat(getFileList(curPath, prefix + file + '/', skip));
+            }
+
+            return;
+        }
+
+        list.push(prefix + file);
+    });
+
+    return list;
+};
+
+Export.getFileList = getFileList;
+
+/**
+ * Convert a glob pattern to a regular expression matching relative paths. Supports `**` (any number of
+ * directories), `*` and `?` (within a path part) and `{a,b}` alternatives.
+ *
+ * @param {string} pattern
+ * @return {RegExp}
+ */
+const globToRegExp = pattern => {
+    let source = '';
+    let braceDepth = 0;
+
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+
+        if (char === '*' && pattern[i + 1] === '*') {
+            if (pattern[i + 2] === '/') {
+                source += '(?:.*/)?';
+                i += 2;
+
+                continue;
+            }
+
+            source += '.*';
+            i++;
+
+            continue;
+        }
+
+        if (char === '*') {
+            source += '[^/]*';
+
+            continue;
+        }
+
+        if (char === '?') {
+            source += '[^/]';
+
+            continue;
+        }
+
+        if (char === '{') {
+            source += '(?:';
+            braceDepth++;
+
+            continue;
+        }
+
+        if (char === '}' && braceDepth) {
+            source += ')';
+            braceDepth--;
+
+            continue;
+        }
+
+        if (char === ',' && braceDepth) {
+            source += '|';
+
+            continue;
+        }
+
+        source += char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    return new RegExp('^' + source + '$');
+};
+
+Export.globToRegExp = globToRegExp;
+
+/**
+ * Find files matching a glob pattern. Only the directory before the first wildcard is scanned.
+ *
+ * @param {string} baseDir
+ * @param {string} pattern Relative to the base directory.
+ * @param {string[]} [skip] Directories, relative to the base directory, not entered by the scan. A pattern
+ *   starting inside one of them still finds its files.
+ * @return {string[]} Paths relative to the base directory.
+ */
+Export.findFiles = (baseDir, pattern, skip = []) => {
+    const parts = pattern.split('/');
+    const staticParts = [];
+
+    for (const part of parts) {
+        if (/[*?{]/.test(part)) {
+            break;
+        }
+
+        staticParts.push(part);
+    }
+
+    const prefix = staticParts.join('/');
+
+    if (staticParts.length === parts.length) {
+        return fs.existsSync(baseDir + '/' + prefix) && fs.lstatSync(baseDir + '/' + prefix).isFile() ?
+            [prefix] : [];
+    }
+
+    const regExp = globToRegExp(pattern);
+    const dir = prefix ? baseDir + '/' + prefix : baseDir;
+
+    const skipInDir = skip
+        .filter(item => !prefix || item.startsWith(prefix + '/'))
+        .map(item => prefix ? item.substring(prefix.length + 1) : item);
+
+    return getFileList(dir, '', skipInDir)
+        .map(file => prefix ? prefix + '/' + file : file)
+        .filter(file => regExp.test(file));
+};
+
+/**
+ * @param {string} file
+ * @param {string} [algorithm]
+ * @return {string} A hex digest.
+ */
+Export.getFileHash = (file, algorithm = 'sha256') =>
+    crypto.createHash(algorithm).update(fs.readFileSync(file)).digest('hex');
+
+const base64Chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+/**
+ * Encode a number as a Base64 VLQ, as used in the `mappings` of source maps.
+ *
+ * @param {number} value
+ * @return {string}
+ */
+Export.encodeVlq = value => {
+    let rest = value < 0 ? (-value << 1) | 1 : value << 1;
+    let result = '';
+
+    do {
+        let digit = rest & 31;
+
+        rest >>>= 5;
+
+        if (rest) {
+            digit |= 32;
+        }
+
+        result += base64Chars[digit];
+    } while (rest);
+
+    return result;
+};
+
 const promiseAllWait = promises => {
     let all_promises = [];
 
@@ -207,6 +726,157 @@ Export.getProcessParam = name => {
     return value;
 }
 
+/**
+ * @param {string} version
+ * @return {boolean}
+ */
+Export.isValidVersion = version =>
+    typeof version === 'string' &&
+    /^\d+\.\d+\.\d+(-[0-9A-Za-z.-]+)?(\+[0-9A-Za-z.-]+)?$/.test(version);
+
+/**
+ * Compare versions, such as `8.1` and `8.1.0`, by their numeric parts.
+ *
+ * @param {string} a
+ * @param {string} b
+ * @return {number} Negative if a is lower, positive if higher, zero if equal.
+ */
+Export.compareVersions = (a, b) => {
+    const aParts = a.replace(/^v/, '').split('.').map(part => parseInt(part) || 0);
+    const bParts = b.replace(/^v/, '').split('.').map(part => parseInt(part) || 0);
+
+    for (let i = 0; i < Math.max(aParts.length, bParts.length); i++) {
+        const diff = (aParts[i] ?? 0) - (bParts[i] ?? 0);
+
+        if (diff) {
+            return diff;
+        }
+    }
+
+    return 0;
+};
+
+/**
+ * The lowest version allowed by version constraints, such as `8.1` for `[">=8.1 <9", "^8.2"]`.
+ *
+ * @param {string[]} constraints Alternatives.
+ * @return {string|null} Null if any alternative has no lower bound.
+ */
+Export.getMinimumVersion = constraints => {
+    /** @type {string|null} */
+    let minimum = null;
+
+    const ranges = constraints.flatMap(constraint => constraint.split('||')).map(range => range.trim());
+
+    for (const range of ranges) {
+        const hyphenParts = range.split(/\s+-\s+/);
+
+        const lowerBounds = (hyphenParts.length === 2 ? [hyphenParts[0]] : range.split(/\s*,\s*|\s+/))
+            .map(part => /^(\^|~|>=|>|=|==)?v?(\d+(?:\.\d+){0,2})(?:\.[*x])?$/.exec(part))
+            .filter(match => match)
+            .map(match => match[2]);
+
+        if (!lowerBounds.length) {
+            return null;
+        }
+
+        const bound = lowerBounds.reduce((a, b) => Export.compareVersions(a, b) >= 0 ? a : b);
+
+        if (minimum === null || Export.compareVersions(bound, minimum) < 0) {
+            minimum = bound;
+        }
+    }
+
+    return minimum;
+};
+
+/**
+ * Whether a string is a version constraint, such as `>=7.0.0`, `^8.1`, `7.*` or `>=7.2 <9.0 || ~9.1`.
+ *
+ * @param {string} constraint
+ * @return {boolean}
+ */
+Export.isValidVersionConstraint = constraint => {
+    if (typeof constraint !== 'string' || constraint.trim() === '') {
+        return false;
+    }
+
+    const comparator = /^(\^|~|>=|<=|>|<|=|==|!=)?v?\d+(\.(\d+|\*|x))?(\.(\d+|\*|x))?(-[0-9A-Za-z.-]+)?$/;
+    const version = /^v?\d+(\.\d+){0,2}$/;
+
+    return constraint.split('||').every(range => {
+        range = range.trim();
+
+        const hyphenParts = range.split(/\s+-\s+/);
+
+        if (hyphenParts.length === 2) {
+            return hyphenParts.every(part => version.test(part));
+        }
+
+        return range !== '' && range
+            .split(/\s*,\s*|\s+/)
+            .every(part => part === '*' || comparator.test(part));
+    });
+};
+
+/**
+ * Serialize a value as a PHP literal. Strings are single-quoted with quotes and backslashes escaped.
+ *
+ * @param {*} value
+ * @param {string} [indent]
+ * @return {string}
+ */
+const toPhpValue = (value, indent = '') => {
+    if (value === null || value === undefined) {
+        return 'null';
+    }
+
+    if (typeof value === 'boolean') {
+        return value ? 'true' : 'false';
+    }
+
+    if (typeof value === 'number') {
+        if (!isFinite(value)) {
+            throw new Error(`Cannot serialize ${value} as a PHP value.`);
+        }
+
+        return String(value);
+    }
+
+    if (typeof value === 'string') {
+        return "'" + value.replace(/[\\']/g, '\\$&') + "'";
+    }
+
+    const innerIndent = indent + '    ';
+
+    if (Array.isArray(value)) {
+        if (!value.length) {
+            return '[]';
+        }
+
+        return '[\n' +
+            value.map(item => innerIndent + toPhpValue(item, innerIndent) + ',\n').join('') +
+            indent + ']';
+    }
+
+    if (isObject(value)) {
+        const keys = Object.keys(value);
+
+        if (!keys.length) {
+            return '[]';
+        }
+
+        return '[\n' +
+            keys.map(key => innerIndent + toPhpValue(key) + ' => ' + toPhpValue(value[key], innerIndent) + ',\n')
+                .join('') +
+            indent + ']';
+    }
+
+    throw new Error(`Cannot serialize a value of type ${typeof value} as a PHP value.`);
+};
+
+Export.toPhpValue = toPhpValue;
+
 /**
  * @param {string} string
  * @return {string}